@@ -157,20 +157,24 @@ class CITEXT extends ABSTRACT {
  */
 class NUMBER extends ABSTRACT {
   /**
-   * @param {object} options type options
+   * @param {object|number} options type options, or the length of type
    * @param {string|number} [options.length] length of type, like `INT(4)`
    * @param {boolean} [options.zerofill] Is zero filled?
    * @param {boolean} [options.unsigned] Is unsigned?
    * @param {string|number} [options.decimals] number of decimal points, used with length `FLOAT(5, 4)`
    * @param {string|number} [options.precision] defines precision for decimal type
    * @param {string|number} [options.scale] defines scale for decimal type
+   * @param {string|number} [decimals] number of decimal points when options is the length, like `NUMBER(10, 2)`
    */
-  constructor(options = {}) {
+  constructor(options = {}, decimals) {
     super();
     if (typeof options === 'number') {
       options = {
         length: options
       };
+      if (decimals !== undefined) {
+        options.decimals = decimals;
+      }
     }
     this.options = options;
     this._length = options.length;
@@ -933,6 +937,192 @@ class MACADDR extends ABSTRACT {
   }
 }
 
+/**
+ * A variable length string, the Oracle compatible spelling of VARCHAR
+ *
+ * Only available for DMDB
+ */
+class VARCHAR2 extends STRING {
+  toSql() {
+    return `VARCHAR2(${this._length})`;
+  }
+}
+
+/**
+ * A variable length national character string
+ *
+ * Only available for DMDB
+ */
+class NVARCHAR extends STRING {
+  toSql() {
+    return `NVARCHAR(${this._length})`;
+  }
+}
+
+/**
+ * A character large object
+ *
+ * Only available for DMDB
+ */
+class CLOB extends TEXT {
+  toSql() {
+    return 'CLOB';
+  }
+}
+
+/**
+ * A binary large object, the SQL Server compatible spelling of BLOB
+ *
+ * Only available for DMDB
+ */
+class IMAGE extends BLOB {
+  toSql() {
+    return 'IMAGE';
+  }
+}
+
+/**
+ * A fixed length binary string
+ *
+ * Only available for DMDB
+ */
+class BINARY extends BLOB {
+  /**
+   * @param {number} [length] length in bytes
+   */
+  constructor(length) {
+    super(typeof length === 'object' && length || { length });
+  }
+  toSql() {
+    return this._length ? `${this.key}(${this._length})` : this.key;
+  }
+  validate(value) {
+    if (!Buffer.isBuffer(value)) {
+      throw new sequelizeErrors.ValidationError(util.format(`%j is not a valid ${this.key.toLowerCase()}`, value));
+    }
+    return true;
+  }
+}
+
+/**
+ * A variable length binary string
+ *
+ * Only available for DMDB
+ */
+class VARBINARY extends BINARY {
+}
+
+/**
+ * Base interval type which is used to build the DMDB interval types
+ */
+class INTERVAL extends ABSTRACT {
+  /**
+   * @param {number} [precision] number of digits of the leading field
+   * @param {number} [fractionalPrecision] number of digits of the fractional seconds
+   */
+  constructor(precision, fractionalPrecision) {
+    super();
+    const options = typeof precision === 'object' && precision || { precision, fractionalPrecision };
+    this.options = options;
+    this._precision = options.precision;
+    this._fractionalPrecision = options.fractionalPrecision;
+  }
+  toSql() {
+    return `INTERVAL ${this._fields()}`;
+  }
+  _stringify(value, options) {
+    return `INTERVAL ${options.escape(value)} ${this._fields()}`;
+  }
+  _bindParam(value, options) {
+    return `CAST(${options.bindParam(value)} AS ${this.toSql()})`;
+  }
+}
+
+INTERVAL.prototype.escape = false;
+
+/**
+ * A period of years and months, written as `'years-months'`, like `'1-6'`
+ *
+ * Only available for DMDB
+ */
+class INTERVAL_YEAR_TO_MONTH extends INTERVAL {
+  /**
+   * @param {number} [precision] number of digits of the year field
+   */
+  constructor(precision) {
+    super(typeof precision === 'object' && precision || { precision });
+  }
+  validate(value) {
+    if (typeof value !== 'string' || !/^[+-]?\d+-\d+$/.test(value)) {
+      throw new sequelizeErrors.ValidationError(util.format('%j is not a valid interval year to month', value));
+    }
+    return true;
+  }
+  _fields() {
+    return `YEAR${this._precision ? `(${this._precision})` : ''} TO MONTH`;
+  }
+}
+
+/**
+ * A period of days and time, written as `'days hours:minutes:seconds'`, like `'2 12:30:00.5'`
+ *
+ * Only available for DMDB
+ */
+class INTERVAL_DAY_TO_SECOND extends INTERVAL {
+  validate(value) {
+    if (typeof value !== 'string' || !/^[+-]?\d+ \d+:\d+:\d+(\.\d+)?$/.test(value)) {
+      throw new sequelizeErrors.ValidationError(util.format('%j is not a valid interval day to second', value));
+    }
+    return true;
+  }
+  _fields() {
+    return `DAY${this._precision ? `(${this._precision})` : ''} TO SECOND${this._fractionalPrecision ? `(${this._fractionalPrecision})` : ''}`;
+  }
+}
+
+/**
+ * A timestamp stored along with its time zone offset
+ *
+ * Only available for DMDB
+ */
+class TIMESTAMP_TZ extends DATE {
+  toSql() {
+    return `TIMESTAMP${this._length ? `(${this._length})` : ''} WITH TIME ZONE`;
+  }
+}
+
+/**
+ * A timestamp normalized to the database time zone, and shown in the session time zone
+ *
+ * Only available for DMDB
+ */
+class TIMESTAMP_LTZ extends DATE {
+  toSql() {
+    return `TIMESTAMP${this._length ? `(${this._length})` : ''} WITH LOCAL TIME ZONE`;
+  }
+}
+
+/**
+ * The physical address of a row
+ *
+ * Only available for DMDB
+ */
+class ROWID extends ABSTRACT {
+  validate(value) {
+    if (typeof value !== 'string') {
+      throw new sequelizeErrors.ValidationError(util.format('%j is not a valid rowid', value));
+    }
+    return true;
+  }
+}
+
+/**
+ * A default unique universal identifier generated by the server when the row is inserted, read back into the instance afterwards
+ *
+ * Only available for DMDB
+ */
+class GUID extends ABSTRACT {}
+
 /**
  * A convenience class holding commonly used data types. The data types are used when defining a new model using `Sequelize.define`, like this:
  * ```js
@@ -1016,7 +1206,19 @@ const DataTypes = module.exports = {
   CIDR,
   INET,
   MACADDR,
-  CITEXT
+  CITEXT,
+  VARCHAR2,
+  NVARCHAR,
+  CLOB,
+  IMAGE,
+  BINARY,
+  VARBINARY,
+  INTERVAL_YEAR_TO_MONTH,
+  INTERVAL_DAY_TO_SECOND,
+  TIMESTAMP_TZ,
+  TIMESTAMP_LTZ,
+  ROWID,
+  GUID
 };
 
 _.each(DataTypes, (dataType, name) => {
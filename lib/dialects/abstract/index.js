@@ -65,7 +65,9 @@ AbstractDialect.prototype.supports = {
   groupedLimit: true,
   indexViaAlter: false,
   JSON: false,
-  deferrableConstraints: false
+  deferrableConstraints: false,
+  /* can BLOB and TEXT values be read and bound as streams */
+  lobStreams: false
 };
 
 module.exports = AbstractDialect;
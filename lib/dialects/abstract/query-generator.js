@@ -176,7 +176,6 @@ class QueryGenerator {
     }
 
     valueHash = Utils.removeNullValuesFromHash(valueHash, this.options.omitNull);
-    let hasAutoIncrementId = false;
     for (const key in valueHash) {
       if (Object.prototype.hasOwnProperty.call(valueHash, key)) {
         const value = valueHash[key];
@@ -186,7 +185,6 @@ class QueryGenerator {
         if (modelAttributeMap && modelAttributeMap[key] && modelAttributeMap[key].autoIncrement === true && !value) {
           if (!this._dialect.supports.autoIncrement.defaultValue) {
             fields.splice(-1, 1);
-            hasAutoIncrementId = true;
           } else if (this._dialect.supports.DEFAULT) {
             values.push('DEFAULT');
           } else {
@@ -245,10 +243,6 @@ class QueryGenerator {
       query = `SET IDENTITY_INSERT ${quotedTable} ON; ${query} SET IDENTITY_INSERT ${quotedTable} OFF;`;
     }
 
-    if (this.dialect === 'dmdb' && hasAutoIncrementId) {
-      query += 'SELECT @@IDENTITY AS "insertId";';
-    }
-
     // Used by Postgres upsertQuery and calls to here with options.exception set to true
     const result = { query };
     if (options.bindParam !== false) {
@@ -322,11 +316,11 @@ class QueryGenerator {
     const onConflictDoNothing = options.ignoreDuplicates ? this._dialect.supports.inserts.onConflictDoNothing : '';
     let returning = '';
 
-    if (this._dialect.supports.returnValues && Array.isArray(options.returning)) {
+    if (this._dialect.supports.returnValues.returning && Array.isArray(options.returning)) {
       const fields = options.returning.map(field => this.quoteIdentifier(field)).join(',');
       returning += ` RETURNING ${fields}`;
     } else {
-      returning += this._dialect.supports.returnValues && options.returning ? ' RETURNING *' : '';
+      returning += this._dialect.supports.returnValues.returning && options.returning ? ' RETURNING *' : '';
     }
 
     return `INSERT${ignoreDuplicates} INTO ${this.quoteTable(tableName)} (${attributes}) VALUES ${tuples.join(',')}${onDuplicateKeyUpdate}${onConflictDoNothing}${returning};`;
@@ -399,7 +393,7 @@ class QueryGenerator {
 
           suffix += selectFromTmp;
         }
-      } else if (this._dialect.supports.returnValues && options.returning) {
+      } else if (this._dialect.supports.returnValues.returning && options.returning) {
         // ensure that the return output is properly mapped to model fields.
         options.mapToModel = true;
         suffix += ' RETURNING *';
@@ -21,6 +21,13 @@ const Utils = require('../../../../utils');
  */
 const postgresReservedWords = 'all,analyse,analyze,and,any,array,as,asc,asymmetric,authorization,binary,both,case,cast,check,collate,collation,column,concurrently,constraint,create,cross,current_catalog,current_date,current_role,current_schema,current_time,current_timestamp,current_user,default,deferrable,desc,distinct,do,else,end,except,false,fetch,for,foreign,freeze,from,full,grant,group,having,ilike,in,initially,inner,intersect,into,is,isnull,join,lateral,leading,left,like,limit,localtime,localtimestamp,natural,not,notnull,null,offset,on,only,or,order,outer,overlaps,placing,primary,references,returning,right,select,session_user,similar,some,symmetric,table,tablesample,then,to,trailing,true,union,unique,user,using,variadic,verbose,when,where,window,with'.split(',');
 
+/**
+ * words DM refuses as unquoted identifiers, on top of the PostgreSQL ones
+ *
+ * @private
+ */
+const dmdbReservedWords = postgresReservedWords.concat('comment,identity,level,rowid,rownum,session,size,sysdate,top,uid,view'.split(','));
+
 /**
  *
  * @param {string}  dialect         Dialect name
@@ -28,6 +35,7 @@ const postgresReservedWords = 'all,analyse,analyze,and,any,array,as,asc,asymmetr
  * @param {object}  [options]
  * @param {boolean} [options.force=false]
  * @param {boolean} [options.quoteIdentifiers=true]
+ * @param {string}  [options.identifierCase='preserve'] DMDB only, one of `preserve`, `upper` or `none`
  *
  * @returns {string}
  * @private
@@ -46,7 +54,25 @@ function quoteIdentifier(dialect, identifier, options) {
     case 'mysql':
       return Utils.addTicks(Utils.removeTicks(identifier, '`'), '`');
 
-    case 'dmdb':
+    case 'dmdb': {
+      const identifierCase = options.identifierCase || (options.quoteIdentifiers === false ? 'none' : 'preserve');
+      let rawIdentifier = Utils.removeTicks(identifier, '"');
+
+      if (identifierCase !== 'preserve') {
+        // DM folds unquoted identifiers to upper case, do the same before quoting
+        rawIdentifier = rawIdentifier.toUpperCase();
+      }
+      if (
+        options.force !== true &&
+        identifierCase === 'none' &&
+        /^[A-Z][A-Z0-9_$#]*$/.test(rawIdentifier) &&
+        !dmdbReservedWords.includes(rawIdentifier.toLowerCase())
+      ) {
+        return rawIdentifier;
+      }
+      return Utils.addTicks(rawIdentifier, '"');
+    }
+
     case 'postgres':
       const rawIdentifier = Utils.removeTicks(identifier, '"');
 
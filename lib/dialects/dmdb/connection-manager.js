@@ -1,12 +1,17 @@
 'use strict';
 
+const _ = require('lodash');
+const momentTz = require('moment-timezone');
 const AbstractConnectionManager = require('../abstract/connection-manager');
 const SequelizeErrors = require('../../errors');
 const { logger } = require('../../utils/logger');
 const DataTypes = require('../../data-types').dmdb;
 const debug = logger.debugContext('connection:dmdb');
 const parserStore = require('../parserStore')('dmdb');
-const { promisify } = require('util');
+const Promise = require('../../promise');
+
+// dialectOptions read by the query generator rather than the driver
+const generatorOptions = ['identifierCase', 'pagination', 'uuidStorage'];
 
 /**
  * dmdb Connection Manager
@@ -42,67 +47,109 @@ class ConnectionManager extends AbstractConnectionManager {
 
   /**
    * Connect with dmdb database based on config, Handle any errors in connection
-   * Set the pool handlers on connection.error
-   * Also set proper timezone once connection is connected.
+   * Opens a single physical connection, pooling is left to the Sequelize pool
    *
-   * @param {object} config
+   * @param {Object} config
    * @returns {Promise<Connection>}
    * @private
    */
-  async connect(config) {
+  connect(config) {
     // 文档: https://eco.dameng.com/document/dm/zh-cn/pm/nodejs-rogramming-guide.html
     const connectionConfig = {
-      connectString: `dm://${config.username}:${config.password}@${config.host}:${config.port}?autoCommit=true`,
-      poolMax: config.pool.max,
-      poolTimeout: config.pool.idle,
-      ...config.dialectOptions
+      connectString: `${config.host}:${config.port}`,
+      user: config.username,
+      password: config.password
     };
     if (config.database) {
-      // 添加模式名到数据库连接串
-      connectionConfig.connectString += `&schema=${config.database}`;
+      // 添加模式名到连接属性
+      connectionConfig.schema = config.database;
+    }
+    if (!this.sequelize.config.keepDefaultTimezone) {
+      // the session time zone is sent on login, as an offset in minutes
+      connectionConfig.localTimezone = this._timezoneOffset(this.sequelize.options.timezone);
     }
-    // 指定结果集中的数据类型以 String 显示，取值范围：dmdb.BUFFER、dmdb.CLOB、dmdb.DATE、dmdb.NUMBER
-    this.lib.fetchAsString = [this.lib.CLOB];
+    Object.assign(connectionConfig, _.omit(config.dialectOptions, generatorOptions));
+
+    return Promise.resolve(this.lib.getConnection(connectionConfig))
+      .tap(connection => {
+        connection.timezoneOffset = connectionConfig.localTimezone;
+        debug('connection acquired');
+      })
+      .catch(err => {
+        switch (err.errCode || err.code) {
+          case 'ECONNREFUSED':
+            throw new SequelizeErrors.ConnectionRefusedError(err);
+          // 用户名或密码错误
+          case -2501:
+            throw new SequelizeErrors.AccessDeniedError(err);
+          case 'ENOTFOUND':
+            throw new SequelizeErrors.HostNotFoundError(err);
+          case 'EHOSTUNREACH':
+            throw new SequelizeErrors.HostNotReachableError(err);
+          case 'EINVAL':
+            throw new SequelizeErrors.InvalidConnectionError(err);
+          // connect timeout
+          case 20009:
+            throw new SequelizeErrors.ConnectionTimedOutError(err);
+          default:
+            throw new SequelizeErrors.ConnectionError(err);
+        }
+      });
+  }
+
+  /**
+   * Offset of a time zone in minutes, named time zones are resolved at the current date.
+   * Values are converted with the offset of their own date, see DATE in data-types.js, but the
+   * session keeps the offset of its login: `validate` replaces connections once it changes.
+   *
+   * @param {string} timezone e.g. '+08:00' or 'Asia/Shanghai'
+   * @returns {number}
+   * @private
+   */
+  _timezoneOffset(timezone) {
+    return momentTz.tz.zone(timezone) ? momentTz.tz(timezone).utcOffset() : momentTz().utcOffset(timezone).utcOffset();
+  }
 
-    try {
-      const pool = await this.lib.createPool(connectionConfig);
-      const connection = await pool.getConnection();
-      debug('connection acquired');
-      return connection;
-    } catch (err) {
-      switch (err.errCode) {
-        case 'ECONNREFUSED':
-          throw new SequelizeErrors.ConnectionRefusedError(err);
-        case 'ER_ACCESS_DENIED_ERROR':
-          throw new SequelizeErrors.AccessDeniedError(err);
-        case 'ENOTFOUND':
-          throw new SequelizeErrors.HostNotFoundError(err);
-        case 'EHOSTUNREACH':
-          throw new SequelizeErrors.HostNotReachableError(err);
-        case 'EINVAL':
-          throw new SequelizeErrors.InvalidConnectionError(err);
-        default:
-          throw new SequelizeErrors.ConnectionError(err);
-      }
+  /**
+   * Statements outside transactions run with autocommit, they would commit the work of a
+   * transaction left open on the connection: roll it back before the connection is reused.
+   *
+   * @param {Connection} connection
+   * @returns {Promise}
+   * @private
+   */
+  releaseConnection(connection) {
+    if (!connection.pendingTransaction) {
+      return super.releaseConnection(connection);
     }
+
+    return Promise.fromCallback(callback => connection.rollback(callback))
+      .then(() => {
+        connection.pendingTransaction = false;
+        return super.releaseConnection(connection);
+      }, err => {
+        debug(`connection destroyed, the pending transaction could not be rolled back: ${err.message}`);
+        return this.pool.destroy(connection);
+      });
   }
 
-  async disconnect(connection) {
+  disconnect(connection) {
     // Don't disconnect connections with CLOSED state
-    if (connection._closing) {
+    if (connection.closed) {
       debug('connection tried to disconnect but was already at CLOSED state');
-      return;
+      return Promise.resolve();
     }
 
-    return await promisify(callback => connection.close(callback))();
+    return Promise.fromCallback(callback => connection.close(callback));
   }
 
   validate(connection) {
-    return connection
-      && !connection._fatalError
-      && !connection._protocolError
-      && !connection._closing
-      && !connection.closed;
+    if (!connection || connection.closed) {
+      return false;
+    }
+    // named time zones change offset with daylight saving time
+    return connection.timezoneOffset === undefined
+      || connection.timezoneOffset === this._timezoneOffset(this.sequelize.options.timezone);
   }
 }
 
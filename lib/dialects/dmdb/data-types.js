@@ -1,6 +1,7 @@
 'use strict';
 
 const wkx = require('wkx');
+const { Readable } = require('stream');
 const _ = require('lodash');
 const momentTz = require('moment-timezone');
 const moment = require('moment');
@@ -28,25 +29,46 @@ module.exports = BaseTypes => {
   BaseTypes.REAL.types.dmdb = ['DOUBLE'];
   BaseTypes.DOUBLE.types.dmdb = ['DOUBLE'];
   BaseTypes.GEOMETRY.types.dmdb = ['GEOMETRY'];
+  BaseTypes.GEOGRAPHY.types.dmdb = ['GEOGRAPHY'];
   BaseTypes.JSON.types.dmdb = ['JSON'];
   BaseTypes.JSONB.types.dmdb = ['JSONB'];
+  BaseTypes.NUMBER.types.dmdb = ['NUMBER'];
+  BaseTypes.VARCHAR2.types.dmdb = ['VARCHAR2'];
+  BaseTypes.NVARCHAR.types.dmdb = ['NVARCHAR'];
+  BaseTypes.CLOB.types.dmdb = ['CLOB'];
+  BaseTypes.IMAGE.types.dmdb = ['IMAGE'];
+  BaseTypes.BINARY.types.dmdb = ['BINARY'];
+  BaseTypes.VARBINARY.types.dmdb = ['VARBINARY'];
+  BaseTypes.INTERVAL_YEAR_TO_MONTH.types.dmdb = ['INTERVAL YEAR TO MONTH'];
+  BaseTypes.INTERVAL_DAY_TO_SECOND.types.dmdb = ['INTERVAL DAY TO SECOND'];
+  BaseTypes.TIMESTAMP_TZ.types.dmdb = ['TIMESTAMP WITH TIME ZONE'];
+  BaseTypes.TIMESTAMP_LTZ.types.dmdb = ['TIMESTAMP WITH LOCAL TIME ZONE'];
+  BaseTypes.ROWID.types.dmdb = ['ROWID'];
 
   class DATE extends BaseTypes.DATE {
     toSql() {
-      return this._length ? `TIMESTAMP(${this._length})` : 'TIMESTAMP';
+      return `TIMESTAMP${this._length ? `(${this._length})` : ''}${this._withTimeZone() ? ' WITH TIME ZONE' : ''}`;
+    }
+    // dates are also escaped through DATE.prototype, see sql-string
+    _withTimeZone() {
+      return !!(this.options && this.options.withTimeZone);
     }
     _stringify(date, options) {
       if (!moment.isMoment(date)) {
         date = this._applyTimezone(date, options);
       }
+      const zone = this._withTimeZone() ? ' Z' : '';
       if (this._length) {
-        return date.format(`YYYY-MM-DD HH:mm:ss.${new Array(this._length).fill('S').join('')}`);
+        return date.format(`YYYY-MM-DD HH:mm:ss.${new Array(this._length).fill('S').join('')}${zone}`);
       }
-      return date.format('YYYY-MM-DD HH:mm:ss');
+      return date.format(`YYYY-MM-DD HH:mm:ss${zone}`);
     }
     static parse(value, options) {
-      value = value.string();
-      if (value === null) {
+      // the driver reads TIMESTAMP values in the time zone of the process, they hold the time of the session time zone
+      if (value instanceof Date) {
+        value = moment(value).format('YYYY-MM-DD HH:mm:ss.SSS');
+      }
+      if (typeof value !== 'string') {
         return value;
       }
       if (momentTz.tz.zone(options.timezone)) {
@@ -60,7 +82,20 @@ module.exports = BaseTypes => {
 
   class DATEONLY extends BaseTypes.DATEONLY {
     static parse(value) {
-      return value.string();
+      // DATE columns are read as local midnight
+      return value instanceof Date ? moment(value).format('YYYY-MM-DD') : value;
+    }
+  }
+
+  class TIMESTAMP_TZ extends BaseTypes.TIMESTAMP_TZ {
+    static parse(value) {
+      return value instanceof Date ? value : new Date(value);
+    }
+  }
+
+  class TIMESTAMP_LTZ extends BaseTypes.TIMESTAMP_LTZ {
+    static parse(value) {
+      return value instanceof Date ? value : new Date(value);
     }
   }
 
@@ -83,41 +118,78 @@ module.exports = BaseTypes => {
     toSql() {
       return 'CHAR(36)';
     }
+    // BINARY(16) storage keeps the bytes in the RFC 4122 order, as HEXTORAW(GUID()) and other clients write them
+    static toBinary(value) {
+      return Buffer.from(value.replace(/-/g, ''), 'hex');
+    }
+    static fromBinary(value) {
+      return value.toString('hex').replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+    }
   }
 
-  const SUPPORTED_GEOMETRY_TYPES = ['POINT', 'LINESTRING', 'POLYGON'];
+  const SUPPORTED_GEOMETRY_TYPES = ['POINT', 'LINESTRING', 'POLYGON', 'MULTIPOINT', 'MULTILINESTRING', 'MULTIPOLYGON', 'GEOMETRYCOLLECTION'];
+  // spatial columns are DMGEO classes of the SYSGEO schema
+  const spatialTypes = { GEOMETRYCOLLECTION: 'ST_GEOMCOLLECTION' };
+
   class GEOMETRY extends BaseTypes.GEOMETRY {
     constructor(type, srid) {
       super(type, srid);
-      if (_.isEmpty(this.type)) {
-        this.sqlType = this.key;
-        return;
+      if (!_.isEmpty(this.type) && !SUPPORTED_GEOMETRY_TYPES.includes(this.type)) {
+        throw new Error(`Supported geometry types are: ${SUPPORTED_GEOMETRY_TYPES.join(', ')}`);
       }
-      if (SUPPORTED_GEOMETRY_TYPES.includes(this.type)) {
-        this.sqlType = this.type;
-        return;
-      }
-      throw new Error(`Supported geometry types are: ${SUPPORTED_GEOMETRY_TYPES.join(', ')}`);
     }
+    toSql() {
+      return `SYSGEO.${this.type ? spatialTypes[this.type] || `ST_${this.type}` : 'ST_GEOMETRY'}`;
+    }
+    // values are selected as EWKT, see the query generator
     static parse(value) {
-      value = value.buffer();
-      if (!value || value.length === 0) {
+      if (value === null || value === undefined || value.length === 0) {
         return null;
       }
-      value = value.slice(4);
       return wkx.Geometry.parse(value).toGeoJSON({ shortCrs: true });
     }
+  }
+  GEOMETRY.prototype.constructorName = 'ST_GEOMFROM';
+  GEOMETRY.prototype.defaultSrid = 0;
+
+  class GEOGRAPHY extends BaseTypes.GEOGRAPHY {
+    constructor(type, srid) {
+      super(type, srid);
+      if (!_.isEmpty(this.type) && !SUPPORTED_GEOMETRY_TYPES.includes(this.type)) {
+        throw new Error(`Supported geography types are: ${SUPPORTED_GEOMETRY_TYPES.join(', ')}`);
+      }
+    }
     toSql() {
-      return this.sqlType;
+      return 'SYSGEO.ST_GEOGRAPHY';
     }
   }
+  GEOGRAPHY.parse = GEOMETRY.parse;
+  GEOGRAPHY.prototype.constructorName = 'ST_GEOGFROM';
+  GEOGRAPHY.prototype.defaultSrid = 4326;
+
+  // GeoJSON values are escaped as WKT and bound as WKB, with the SRID of their crs or of the attribute
+  for (const spatial of [GEOMETRY, GEOGRAPHY]) {
+    Object.assign(spatial.prototype, {
+      _srid(value) {
+        const crs = _.get(value, ['crs', 'properties', 'name']);
+        const match = typeof crs === 'string' && crs.match(/(\d+)$/);
+        return match ? Number(match[1]) : this.srid || this.defaultSrid;
+      },
+      _stringify(value, options) {
+        return `DMGEO.${this.constructorName}TEXT(${options.escape(wkx.Geometry.parseGeoJSON(value).toWkt())}, ${this._srid(value)})`;
+      },
+      _bindParam(value, options) {
+        return `DMGEO.${this.constructorName}WKB(${options.bindParam(wkx.Geometry.parseGeoJSON(value).toWkb())}, ${this._srid(value)})`;
+      }
+    });
+  }
 
   class ENUM extends BaseTypes.ENUM {
-    toSql(options) {
-      // 获取 ENUM 值最大长度
-      const values = this.values.map(value => options.escape(value));
-      const enumValueLength = Math.max(...values.map(value => value.length));
-      return `CHAR(${enumValueLength})`;
+    toSql() {
+      // the allowed values are kept in a CHECK constraint by the query generator,
+      // VARCHAR lengths count bytes by default
+      const enumValueLength = Math.max(1, ...this.values.map(value => Buffer.byteLength(value)));
+      return `VARCHAR(${enumValueLength})`;
     }
   }
 
@@ -126,7 +198,7 @@ module.exports = BaseTypes => {
       return options.operation === 'where' && typeof value === 'string' ? value : JSON.stringify(value);
     }
     toSql() {
-      return 'TEXT';
+      return 'CLOB';
     }
     static parse(value) {
       if (typeof value === 'string' && value.length > 0) {
@@ -136,18 +208,88 @@ module.exports = BaseTypes => {
     }
   }
 
+  class NUMBER extends BaseTypes.NUMBER {
+    toSql() {
+      const precision = this._precision || this._length;
+      const scale = this._precision ? this._scale : this._decimals;
+
+      if (!precision) {
+        return 'NUMBER';
+      }
+      return typeof scale === 'number' ? `NUMBER(${precision},${scale})` : `NUMBER(${precision})`;
+    }
+  }
+
+  // intervals are read as their literal, e.g. INTERVAL '01-06' YEAR(2) TO MONTH
+  const intervalLiteral = /^INTERVAL\s*(-?)\s*'([^']*)'/;
+  const parseInterval = value => {
+    const match = typeof value === 'string' && value.match(intervalLiteral);
+    return match ? `${match[1]}${match[2]}` : value;
+  };
+
+  class INTERVAL_YEAR_TO_MONTH extends BaseTypes.INTERVAL_YEAR_TO_MONTH {
+    static parse(value) {
+      return parseInterval(value);
+    }
+  }
+
+  class INTERVAL_DAY_TO_SECOND extends BaseTypes.INTERVAL_DAY_TO_SECOND {
+    static parse(value) {
+      return parseInterval(value);
+    }
+  }
+
+  class TEXT extends BaseTypes.TEXT {}
+  class CLOB extends BaseTypes.CLOB {}
+  class BLOB extends BaseTypes.BLOB {}
+  class IMAGE extends BaseTypes.IMAGE {}
+
+  // LOB values can be bound as a stream, the driver copies it into the column
+  for (const lob of [TEXT, CLOB, BLOB, IMAGE]) {
+    const base = Object.getPrototypeOf(lob.prototype);
+
+    Object.assign(lob.prototype, {
+      validate(value, options) {
+        return value instanceof Readable || base.validate.call(this, value, options);
+      },
+      _bindParam(value, options) {
+        if (value instanceof Readable) {
+          return options.bindParam(value);
+        }
+        return base._bindParam ? base._bindParam.call(this, value, options) : options.bindParam(this.stringify(value, options));
+      }
+    });
+  }
+
   class BOOLEAN extends BaseTypes.BOOLEAN {
     toSql() {
       return 'BIT';
     }
+    // BIT columns store booleans as 1 and 0
+    _stringify(value) {
+      value = this._sanitize(value);
+      return typeof value === 'boolean' ? +value : value;
+    }
   }
+
+  BOOLEAN.parse = BaseTypes.BOOLEAN.parse;
   return {
     ENUM,
     DATE,
     DATEONLY,
     TIME,
+    TEXT,
+    CLOB,
+    BLOB,
+    IMAGE,
+    NUMBER,
+    INTERVAL_YEAR_TO_MONTH,
+    INTERVAL_DAY_TO_SECOND,
+    TIMESTAMP_TZ,
+    TIMESTAMP_LTZ,
     UUID,
     GEOMETRY,
+    GEOGRAPHY,
     JSON: JSONTYPE,
     JSONB: JSONTYPE,
     BOOLEAN
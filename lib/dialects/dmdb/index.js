@@ -20,10 +20,12 @@ class DmdbDialect extends AbstractDialect {
 }
 
 DmdbDialect.prototype.supports = _.merge(_.cloneDeep(AbstractDialect.prototype.supports), {
-  'VALUES ()': true,
+  'DEFAULT VALUES': true,
+  schemas: true,
   'LIMIT ON UPDATE': true,
   lock: true,
-  forShare: 'LOCK IN SHARE MODE',
+  lockOf: true,
+  skipLocked: true,
   settingIsolationLevelDuringTransaction: false,
   inserts: {
     ignoreDuplicates: ' IGNORE',
@@ -36,21 +38,19 @@ DmdbDialect.prototype.supports = _.merge(_.cloneDeep(AbstractDialect.prototype.s
     type: true,
     using: 1
   },
-  constraints: {
-    dropConstraint: false,
-    check: false
-  },
   indexViaAlter: false,
   indexHints: true,
   NUMERIC: true,
-  GEOMETRY: false,
+  GEOMETRY: true,
+  GEOGRAPHY: true,
   JSON: true,
   REGEXP: true,
-  
+  lobStreams: true,
+
   /* features specific to autoIncrement values */
   autoIncrement: {
     /* does the dialect require modification of insert queries when inserting auto increment fields */
-    identityInsert: false,
+    identityInsert: true,
 
     /* does the dialect support inserting default/null values for autoincrement fields */
     defaultValue: false,
@@ -60,7 +60,9 @@ DmdbDialect.prototype.supports = _.merge(_.cloneDeep(AbstractDialect.prototype.s
   },
 
   /* does the dialect support returning values for inserted/updated fields */
-  returnValues: true
+  returnValues: {
+    returningInto: true
+  }
 });
 
 ConnectionManager.prototype.defaultVersion = '8.0.0';
@@ -68,7 +70,7 @@ DmdbDialect.prototype.Query = Query;
 DmdbDialect.prototype.QueryGenerator = QueryGenerator;
 DmdbDialect.prototype.DataTypes = DataTypes;
 DmdbDialect.prototype.name = 'dmdb';
-DmdbDialect.prototype.TICK_CHAR = '`';
+DmdbDialect.prototype.TICK_CHAR = '"';
 DmdbDialect.prototype.TICK_CHAR_LEFT = DmdbDialect.prototype.TICK_CHAR;
 DmdbDialect.prototype.TICK_CHAR_RIGHT = DmdbDialect.prototype.TICK_CHAR;
 
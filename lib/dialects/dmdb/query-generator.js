@@ -3,26 +3,63 @@
 const _ = require('lodash');
 const Utils = require('../../utils');
 const AbstractQueryGenerator = require('../abstract/query-generator');
+const QuoteHelper = require('../abstract/query-generator/helpers/quote');
 const util = require('util');
 const Op = require('../../operators');
+const DataTypes = require('../../data-types');
+const Model = require('../../model');
+const Transaction = require('../../transaction');
+const { OutBind } = require('./query');
 
+// DM has no JSON operators, raw statements can only use the JSON functions (JSON_VALUE, JSON_QUERY, JSON_EXISTS...)
 const jsonFunctionRegex = /^\s*((?:[a-z]+_){0,2}jsonb?(?:_[a-z]+){0,2})\([^)]*\)/i;
-const jsonOperatorRegex = /^\s*(->>?|@>|<@|\?[|&]?|\|{2}|#-)/i;
 const tokenCaptureRegex = /^\s*((?:([`"'])(?:(?!\2).|\2{2})*\2)|[\w\d\s]+|[().,;+-])/i;
-const foreignKeyFields = 'CONSTRAINT_NAME as constraint_name,'
-  + 'CONSTRAINT_NAME as constraintName,'
-  + 'CONSTRAINT_SCHEMA as constraintSchema,'
-  + 'CONSTRAINT_SCHEMA as constraintCatalog,'
-  + 'TABLE_NAME as tableName,'
-  + 'TABLE_SCHEMA as tableSchema,'
-  + 'TABLE_SCHEMA as tableCatalog,'
-  + 'COLUMN_NAME as columnName,'
-  + 'REFERENCED_TABLE_SCHEMA as referencedTableSchema,'
-  + 'REFERENCED_TABLE_SCHEMA as referencedTableCatalog,'
-  + 'REFERENCED_TABLE_NAME as referencedTableName,'
-  + 'REFERENCED_COLUMN_NAME as referencedColumnName';
-
-const typeWithoutDefault = new Set(['BLOB', 'TEXT', 'GEOMETRY', 'JSON']);
+const foreignKeyFields = [
+  'fk.CONSTRAINT_NAME AS "constraint_name",',
+  'fk.CONSTRAINT_NAME AS "constraintName",',
+  'fk.OWNER AS "constraintSchema",',
+  'fk.OWNER AS "constraintCatalog",',
+  'fk.TABLE_NAME AS "tableName",',
+  'fk.OWNER AS "tableSchema",',
+  'fk.OWNER AS "tableCatalog",',
+  'fkc.COLUMN_NAME AS "columnName",',
+  'pk.OWNER AS "referencedTableSchema",',
+  'pk.OWNER AS "referencedTableCatalog",',
+  'pk.TABLE_NAME AS "referencedTableName",',
+  'pkc.COLUMN_NAME AS "referencedColumnName"',
+  'FROM ALL_CONSTRAINTS fk',
+  'INNER JOIN ALL_CONS_COLUMNS fkc ON fkc.OWNER = fk.OWNER AND fkc.CONSTRAINT_NAME = fk.CONSTRAINT_NAME',
+  'INNER JOIN ALL_CONSTRAINTS pk ON pk.OWNER = fk.R_OWNER AND pk.CONSTRAINT_NAME = fk.R_CONSTRAINT_NAME',
+  'INNER JOIN ALL_CONS_COLUMNS pkc ON pkc.OWNER = pk.OWNER AND pkc.CONSTRAINT_NAME = pk.CONSTRAINT_NAME',
+  'AND pkc.POSITION = fkc.POSITION'
+].join(' ');
+
+const typeWithoutDefault = new Set(['BLOB', 'TEXT', 'CLOB']);
+// member names that can be written unquoted in a JSON path
+const jsonPathIdentifierRegex = /^[a-z_$][\w$]*$/i;
+// trailing comment emitted by attributeToSQL, moved into a COMMENT ON COLUMN statement by the DDL queries
+const commentRegex = / COMMENT ('(?:[^']|'')*')$/;
+// column types of the `uuidStorage` dialect option, and the server expressions of DataTypes.GUID defaults
+const uuidColumnTypes = { char: 'CHAR(36)', varchar: 'VARCHAR(36)', binary: 'BINARY(16)' };
+const guidExpressions = { char: 'LOWER(NEWID())', varchar: 'LOWER(NEWID())', binary: 'HEXTORAW(GUID())' };
+const uuidRegex = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+// DMGEO predicates of the where operators on GEOMETRY and GEOGRAPHY attributes
+const spatialOperators = {
+  [Op.contains]: 'DMGEO.ST_CONTAINS',
+  [Op.contained]: 'DMGEO.ST_WITHIN',
+  [Op.overlap]: 'DMGEO.ST_INTERSECTS'
+};
+const isSpatial = type => type instanceof DataTypes.GEOMETRY || type instanceof DataTypes.GEOGRAPHY;
+// modes of LOCK TABLE
+const tableLockModes = ['INTENT SHARE', 'INTENT EXCLUSIVE', 'ROW SHARE', 'ROW EXCLUSIVE', 'SHARE', 'SHARE ROW EXCLUSIVE', 'EXCLUSIVE'];
+// schemas created by the server itself, never listed or dropped by showAllSchemas / dropAllSchemas
+const systemSchemas = ['SYS', 'SYSDBA', 'SYSAUDITOR', 'SYSSSO', 'CTISYS', 'SYSJOB'];
+// values allowed for the dialectOptions read by the query generator
+const dialectOptionValues = {
+  identifierCase: ['preserve', 'upper', 'none'],
+  pagination: ['limit', 'fetch', 'top'],
+  uuidStorage: Object.keys(uuidColumnTypes)
+};
 
 class DmdbQueryGenerator extends AbstractQueryGenerator {
   constructor(options) {
@@ -32,6 +69,13 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
       [Op.regexp]: 'REGEXP',
       [Op.notRegexp]: 'NOT REGEXP'
     });
+
+    _.forOwn(dialectOptionValues, (values, name) => {
+      const value = _.get(this.options, ['dialectOptions', name]);
+      if (value !== undefined && value !== null && !values.includes(value)) {
+        throw new Error(`dialectOptions.${name} must be one of ${values.join(', ')}, got ${util.inspect(value)}`);
+      }
+    });
   }
 
   createDatabaseQuery(databaseName, options) {
@@ -51,12 +95,20 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
     return `DROP DATABASE IF EXISTS ${this.quoteIdentifier(databaseName)};`;
   }
 
-  createSchema() {
-    return 'SHOW TABLES';
+  createSchema(schema) {
+    return `CREATE SCHEMA IF NOT EXISTS ${this.quoteIdentifier(schema)};`;
+  }
+
+  dropSchema(schema) {
+    return `DROP SCHEMA IF EXISTS ${this.quoteIdentifier(schema)} CASCADE;`;
   }
 
   showSchemasQuery() {
-    return 'SHOW TABLES';
+    return [
+      'SELECT NAME AS "schema_name" FROM SYSOBJECTS',
+      `WHERE TYPE$ = 'SCH' AND NAME NOT IN (${systemSchemas.map(schema => this.escape(schema)).join(', ')})`,
+      'ORDER BY NAME;'
+    ].join(' ');
   }
 
   versionQuery() {
@@ -73,11 +125,17 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
     const foreignKeys = {};
     const attrStr = [];
 
+    const comments = [];
+
     for (const attr in attributes) {
       if (!Object.prototype.hasOwnProperty.call(attributes, attr)) continue;
-      const dataType = attributes[attr];
+      const { definition: dataType, comment } = this._splitComment(attributes[attr]);
       let match;
 
+      if (comment) {
+        comments.push(this._commentOnColumnQuery(tableName, attr, comment));
+      }
+
       if (dataType.includes('PRIMARY KEY')) {
         primaryKeys.push(attr);
 
@@ -94,8 +152,6 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
         match = dataType.match(/^(.+) (REFERENCES.*)$/);
         attrStr.push(`${this.quoteIdentifier(attr)} ${match[1]}`);
         foreignKeys[attr] = match[2];
-      } else if (dataType.includes('JSON')) {
-        attrStr.push(`${this.quoteIdentifier(attr)} ${dataType} CHECK (${this.quoteIdentifier(attr)} IS JSON(LAX))`);
       } else {
         attrStr.push(`${this.quoteIdentifier(attr)} ${dataType}`);
       }
@@ -103,7 +159,6 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
 
     const table = this.quoteTable(tableName);
     let attributesClause = attrStr.join(', ');
-    const initialAutoIncrement = options.initialAutoIncrement ? ` AUTO_INCREMENT=${options.initialAutoIncrement}` : '';
     const pkString = primaryKeys.map(pk => this.quoteIdentifier(pk)).join(', ');
 
     if (options.uniqueKeys) {
@@ -127,20 +182,60 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
       }
     }
 
-    return `CREATE TABLE IF NOT EXISTS ${table} (${attributesClause})${initialAutoIncrement};`;
-  }
+    if (options.initialAutoIncrement) {
+      // Dmdb has no table level AUTO_INCREMENT: seed the identity column instead
+      attributesClause = attributesClause.replace(/ IDENTITY\(1, /, ` IDENTITY(${parseInt(options.initialAutoIncrement, 10)}, `);
+    }
 
+    _.each(options.checks, (where, name) => {
+      attributesClause += `, ${this.getConstraintSnippet(tableName.tableName || tableName, {
+        type: 'CHECK',
+        name,
+        fields: Object.keys(where),
+        where
+      })}`;
+    });
 
-  describeTableQuery(tableName, schema, schemaDelimiter) {
-    const table = this.quoteTable(
-      this.addSchema({
-        tableName,
-        _schema: schema,
-        _schemaDelimiter: schemaDelimiter
-      })
-    );
+    if (options.comment && typeof options.comment === 'string') {
+      comments.unshift(`COMMENT ON TABLE ${table} IS ${this.escape(options.comment)};`);
+    }
+
+    const query = `CREATE TABLE IF NOT EXISTS ${table} (${attributesClause});`;
 
-    return `SHOW FULL COLUMNS FROM ${table};`;
+    // the driver executes one statement at a time, the comments are set by statements of their own
+    return comments.length ? [query].concat(comments) : query;
+  }
+
+
+  describeTableQuery(tableName, schema) {
+    const owner = this._schemaOwner(schema);
+
+    return [
+      'SELECT',
+      'c.COLUMN_NAME AS "Name",',
+      'c.DATA_TYPE AS "Type",',
+      'c.DATA_LENGTH AS "Length",',
+      'c.DATA_PRECISION AS "Precision",',
+      'c.DATA_SCALE AS "Scale",',
+      'c.NULLABLE AS "IsNull",',
+      'c.DATA_DEFAULT AS "Default",',
+      '(CASE WHEN EXISTS (SELECT 1 FROM ALL_CONSTRAINTS k',
+      'INNER JOIN ALL_CONS_COLUMNS kc ON kc.OWNER = k.OWNER AND kc.CONSTRAINT_NAME = k.CONSTRAINT_NAME',
+      'WHERE k.CONSTRAINT_TYPE = \'P\' AND k.OWNER = c.OWNER AND k.TABLE_NAME = c.TABLE_NAME',
+      'AND kc.COLUMN_NAME = c.COLUMN_NAME) THEN \'PRIMARY KEY\' ELSE \'\' END) AS "Constraint",',
+      '(CASE WHEN sc.INFO2 & 1 = 1 THEN 1 ELSE 0 END) AS "IsIdentity",',
+      'cc.COMMENTS AS "Comment",',
+      // values of ENUM columns, see _enumCheckName
+      '(SELECT MAX(k.SEARCH_CONDITION) FROM ALL_CONSTRAINTS k WHERE k.CONSTRAINT_TYPE = \'C\' AND k.OWNER = c.OWNER AND k.TABLE_NAME = c.TABLE_NAME',
+      'AND UPPER(k.CONSTRAINT_NAME) = UPPER(c.TABLE_NAME || \'_\' || c.COLUMN_NAME || \'_enum\')) AS "EnumCheck"',
+      'FROM ALL_TAB_COLUMNS c',
+      'INNER JOIN SYSOBJECTS s ON s.NAME = c.OWNER AND s.TYPE$ = \'SCH\'',
+      'INNER JOIN SYSOBJECTS t ON t.NAME = c.TABLE_NAME AND t.SCHID = s.ID AND t.SUBTYPE$ = \'UTAB\'',
+      'INNER JOIN SYSCOLUMNS sc ON sc.ID = t.ID AND sc.NAME = c.COLUMN_NAME',
+      'LEFT JOIN ALL_COL_COMMENTS cc ON cc.OWNER = c.OWNER AND cc.TABLE_NAME = c.TABLE_NAME AND cc.COLUMN_NAME = c.COLUMN_NAME',
+      `WHERE c.TABLE_NAME = ${this._identifierLiteral(tableName)} AND c.OWNER = ${owner}`,
+      'ORDER BY c.COLUMN_ID;'
+    ].join(' ');
   }
 
   showTablesQuery(database) {
@@ -154,13 +249,14 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
   }
 
   addColumnQuery(table, key, dataType) {
-    const definition = this.attributeToSQL(dataType, {
+    const { definition, comment } = this._splitComment(this.attributeToSQL(dataType, {
       context: 'addColumn',
       tableName: table,
       foreignKey: key
-    });
+    }));
+    const query = `ALTER TABLE ${this.quoteTable(table)} ADD ${this.quoteIdentifier(key)} ${definition};`;
 
-    return `ALTER TABLE ${this.quoteTable(table)} ADD ${this.quoteIdentifier(key)} ${definition};`;
+    return comment ? [query, this._commentOnColumnQuery(table, key, comment)] : query;
   }
 
   removeColumnQuery(tableName, attributeName) {
@@ -168,41 +264,120 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
   }
 
   changeColumnQuery(tableName, attributes) {
-    const attrString = [];
-    const constraintString = [];
+    const table = this.quoteTable(tableName);
+    const alterColumn = (attributeName, action) => `ALTER TABLE ${table} ALTER COLUMN ${this.quoteIdentifier(attributeName)} ${action};`;
+    const sql = [];
 
     for (const attributeName in attributes) {
-      let definition = attributes[attributeName];
-      if (definition.includes('REFERENCES')) {
-        const attrName = this.quoteIdentifier(attributeName);
-        definition = definition.replace(/.+?(?=REFERENCES)/, '');
-        constraintString.push(`FOREIGN KEY (${attrName}) ${definition}`);
-      } else {
-        attrString.push(`\`${attributeName}\` \`${attributeName}\` ${definition}`);
+      const quotedAttr = this.quoteIdentifier(attributeName);
+      const split = this._splitComment(attributes[attributeName]);
+      let definition = split.definition;
+      let references = null;
+      let defaultValue = null;
+
+      const referencesMatch = definition.match(/^(.*?) ?(REFERENCES .+)$/);
+      if (referencesMatch) {
+        definition = referencesMatch[1];
+        references = referencesMatch[2];
+      }
+
+      // the column keeps its primary key and identity, DM cannot declare them again with MODIFY
+      definition = definition.replace(/ PRIMARY KEY$/, '');
+
+      const unique = / UNIQUE$/.test(definition);
+      definition = definition.replace(/ UNIQUE$/, '');
+
+      const checkMatch = definition.match(/ (CONSTRAINT (?:"(?:[^"]|"")+"|\S+) CHECK \(.+\))$/);
+      if (checkMatch) {
+        definition = definition.slice(0, checkMatch.index);
+      }
+
+      const defaultMatch = definition.match(/ DEFAULT (.+)$/);
+      if (defaultMatch) {
+        definition = definition.slice(0, defaultMatch.index);
+        defaultValue = defaultMatch[1];
+      }
+
+      definition = definition.replace(/ IDENTITY\(\d+, \d+\)$/, '');
+
+      const nullMatch = definition.match(/ (NOT )?NULL$/);
+      if (nullMatch) {
+        definition = definition.slice(0, nullMatch.index);
+      }
+      definition = definition.trim();
+
+      // the type goes first, DM refuses a default or NOT NULL the old type cannot hold
+      if (definition) {
+        sql.push(`ALTER TABLE ${table} MODIFY ${quotedAttr} ${definition};`);
+      }
+      // nullability and default are only changed when the attribute sets them
+      if (nullMatch) {
+        sql.push(alterColumn(attributeName, nullMatch[1] ? 'SET NOT NULL' : 'SET NULL'));
+      }
+      if (defaultValue !== null) {
+        sql.push(alterColumn(attributeName, defaultValue === 'NULL' ? 'DROP DEFAULT' : `SET DEFAULT ${defaultValue}`));
       }
-    }
 
-    let finalQuery = '';
-    if (attrString.length) {
-      finalQuery += `CHANGE ${attrString.join(', ')}`;
-      finalQuery += constraintString.length ? ' ' : '';
+      if (checkMatch) {
+        sql.push(`ALTER TABLE ${table} ADD ${checkMatch[1]};`);
+      }
+      if (unique) {
+        sql.push(`ALTER TABLE ${table} ADD UNIQUE (${quotedAttr});`);
+      }
+      if (references) {
+        sql.push(`ALTER TABLE ${table} ADD FOREIGN KEY (${quotedAttr}) ${references};`);
+      }
+      if (split.comment) {
+        sql.push(this._commentOnColumnQuery(tableName, attributeName, split.comment));
+      }
     }
-    if (constraintString.length) {
-      finalQuery += `ADD ${constraintString.join(', ')}`;
+
+    // the driver executes one statement at a time
+    return sql;
+  }
+
+  /**
+   * Name of the CHECK constraint holding the values of an ENUM column
+   *
+   * @param {string|Object} table table name or `{ tableName, schema }`
+   * @param {string} column column name
+   * @returns {string}
+   * @private
+   */
+  _enumCheckName(table, column) {
+    return `${table.tableName || table}_${column}_enum`;
+  }
+
+  /**
+   * Split the trailing `COMMENT '...'` added by attributeToSQL off a column definition,
+   * DM only accepts comments through separate COMMENT ON statements
+   *
+   * @param {string} definition column definition
+   * @returns {Object} the definition without the comment and the escaped comment, if any
+   * @private
+   */
+  _splitComment(definition) {
+    const match = definition.match(commentRegex);
+
+    if (!match) {
+      return { definition, comment: null };
     }
 
-    return `ALTER TABLE ${this.quoteTable(tableName)} ${finalQuery};`;
+    return { definition: definition.slice(0, match.index), comment: match[1] };
+  }
+
+  _commentOnColumnQuery(tableName, attributeName, comment) {
+    return `COMMENT ON COLUMN ${this.quoteTable(tableName)}.${this.quoteIdentifier(attributeName)} IS ${comment};`;
   }
 
   renameColumnQuery(tableName, attrBefore, attributes) {
     const attrString = [];
 
     for (const attrName in attributes) {
-      const definition = attributes[attrName];
-      attrString.push(`\`${attrBefore}\` \`${attrName}\` ${definition}`);
+      attrString.push(`ALTER TABLE ${this.quoteTable(tableName)} ALTER COLUMN ${this.quoteIdentifier(attrBefore)} RENAME TO ${this.quoteIdentifier(attrName)};`);
     }
 
-    return `ALTER TABLE ${this.quoteTable(tableName)} CHANGE ${attrString.join(', ')};`;
+    return attrString.join(' ');
   }
 
   handleSequelizeMethod(smth, tableName, factory, options, prepend) {
@@ -210,7 +385,7 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
       // Parse nested object
       if (smth.conditions) {
         const conditions = this.parseConditionObject(smth.conditions).map(condition =>
-          `${this.jsonPathExtractionQuery(condition.path[0], _.tail(condition.path))} = '${condition.value}'`
+          `${this.jsonPathExtractionQuery(condition.path[0], _.tail(condition.path))} = ${this.escape(String(condition.value))}`
         );
 
         return conditions.join(' AND ');
@@ -225,7 +400,14 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
           // Also support json property accessors
           const paths = _.toPath(smth.path);
           const column = paths.shift();
-          str = this.jsonPathExtractionQuery(column, paths);
+
+          if (smth.value) {
+            str = this.jsonPathExtractionQuery(column, paths);
+          } else {
+            // JSON_VALUE only extracts scalars, fall back to the object or array at the path
+            const quotedColumn = this.isIdentifierQuoted(column) ? column : this.quoteIdentifier(column);
+            str = `COALESCE(${this.jsonPathExtractionQuery(quotedColumn, paths)}, JSON_QUERY(${quotedColumn}, ${this.escape(`$${this._jsonPath(paths)}`)}))`;
+          }
         }
 
         if (smth.value) {
@@ -234,6 +416,12 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
 
         return str;
       }
+    } else if (smth instanceof Utils.Fn && /^DMGEO\./i.test(smth.fn)) {
+      // GeoJSON arguments of the DMGEO functions, e.g. fn('DMGEO.ST_DWITHIN', col('location'), point, 1000)
+      const field = { type: new DataTypes.dmdb.GEOMETRY() };
+      smth = new Utils.Fn(smth.fn, smth.args.map(arg =>
+        _.isPlainObject(arg) && typeof arg.type === 'string' ? new Utils.Literal(this.escape(arg, field)) : arg
+      ));
     } else if (smth instanceof Utils.Cast) {
       if (/timestamp/i.test(smth.type)) {
         smth.type = 'datetime';
@@ -250,6 +438,133 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
     return super.handleSequelizeMethod(smth, tableName, factory, options, prepend);
   }
 
+  escape(value, field, options) {
+    if (value instanceof DataTypes.GUID) {
+      return guidExpressions[this._uuidStorage()];
+    }
+    if (this._isBinaryUuid(value, field)) {
+      this.validate(value, field, options || {});
+      return super.escape(DataTypes.dmdb.UUID.toBinary(value));
+    }
+
+    return super.escape(value, field, options);
+  }
+
+  format(value, field, options, bindParam) {
+    if (value instanceof DataTypes.GUID) {
+      return guidExpressions[this._uuidStorage()];
+    }
+    if (this._isBinaryUuid(value, field)) {
+      this.validate(value, field, options || {});
+      return bindParam(DataTypes.dmdb.UUID.toBinary(value));
+    }
+
+    return super.format(value, field, options, bindParam);
+  }
+
+  _isBinaryUuid(value, field) {
+    return this._uuidStorage() === 'binary'
+      && !!field && field.type instanceof DataTypes.UUID
+      && typeof value === 'string' && uuidRegex.test(value);
+  }
+
+  jsonPathExtractionQuery(column, path) {
+    const quotedColumn = this.isIdentifierQuoted(column)
+      ? column
+      : this.quoteIdentifier(column);
+
+    return `JSON_VALUE(${quotedColumn}, ${this.escape(`$${this._jsonPath(_.toPath(path))}`)})`;
+  }
+
+  /**
+   * Build the steps of a JSON path, array indexes as `[n]` and members as `.name`
+   *
+   * @param {Array<string>} paths path parts
+   * @returns {string}
+   * @private
+   */
+  _jsonPath(paths) {
+    return paths.map(subPath => {
+      if (/^\d+$/.test(subPath)) {
+        return `[${subPath}]`;
+      }
+      return jsonPathIdentifierRegex.test(subPath) ? `.${subPath}` : `.${JSON.stringify(subPath)}`;
+    }).join('');
+  }
+
+  _whereParseSingleValueObject(key, field, prop, value, options) {
+    if (prop === Op.contains && field && field.type instanceof DataTypes.JSON) {
+      return this._jsonContainsQuery(this._getSafeKey(key, options.prefix), value);
+    }
+    if (spatialOperators[prop] && field && isSpatial(field.type)) {
+      return `${spatialOperators[prop]}(${this._getSafeKey(key, options.prefix)}, ${this.escape(value, field)}) = 1`;
+    }
+
+    return super._whereParseSingleValueObject(key, field, prop, value, options);
+  }
+
+  escapeAttributes(attributes, options, mainTableAs) {
+    const model = options.model;
+
+    return attributes && attributes.map(attr => {
+      const [field, alias] = Array.isArray(attr) ? attr : [attr, attr];
+      const attribute = model && typeof field === 'string' && _.find(model.rawAttributes, { field });
+
+      if (!attribute || !isSpatial(attribute.type) || typeof alias !== 'string') {
+        return super.escapeAttributes([attr], options, mainTableAs)[0];
+      }
+
+      // the driver cannot read DMGEO classes, select them as EWKT
+      const column = _.isEmpty(options.include) ? this.quoteIdentifier(field) : `${mainTableAs}.${this.quoteIdentifier(field)}`;
+      return `CASE WHEN ${column} IS NULL THEN NULL ELSE 'SRID=' || DMGEO.ST_SRID(${column}) || ';' || DMGEO.ST_ASTEXT(${column}) END AS ${this.quoteIdentifier(alias)}`;
+    });
+  }
+
+  _traverseJSON(items, baseKey, prop, item, path) {
+    if (_.isPlainObject(item) && item[Op.contains] !== undefined) {
+      items.push(this._jsonContainsQuery(baseKey, item[Op.contains], path));
+      item = Object.assign({}, item);
+      delete item[Op.contains];
+    }
+
+    return super._traverseJSON(items, baseKey, prop, item, path);
+  }
+
+  /**
+   * Check that a JSON document contains every value of the given object with JSON_EXISTS.
+   * Arrays are matched element by element, the lax mode unwraps the arrays of the document.
+   * A filter on an array document tests its elements one at a time, so the elements of a contained
+   * array are checked by separate JSON_EXISTS
+   *
+   * @param {string} column quoted column
+   * @param {*} value contained value
+   * @param {Array<string>} [basePaths] path of the value in the document
+   * @returns {string}
+   * @private
+   */
+  _jsonContainsQuery(column, value, basePaths) {
+    if (Array.isArray(value) && value.length > 1) {
+      return `(${value.map(item => this._jsonContainsQuery(column, [item], basePaths)).join(' AND ')})`;
+    }
+
+    const conditions = [];
+    const traverse = (item, paths) => {
+      if (_.isPlainObject(item)) {
+        _.forOwn(item, (subItem, prop) => traverse(subItem, paths.concat(prop)));
+      } else if (Array.isArray(item)) {
+        item.forEach(subItem => traverse(subItem, paths));
+      } else {
+        conditions.push(`@${this._jsonPath(paths)} == ${JSON.stringify(item)}`);
+      }
+    };
+
+    traverse(value, []);
+
+    const base = `$${this._jsonPath(basePaths || [])}`;
+    const path = conditions.length ? `${base}?(${conditions.join(' && ')})` : base;
+    return `JSON_EXISTS(${column}, ${this.escape(path)})`;
+  }
+
   _toJSONValue(value) {
     // true/false are stored as strings in mysql
     if (typeof value === 'boolean') {
@@ -262,6 +577,185 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
     return value;
   }
 
+  insertQuery(table, valueHash, modelAttributes, options) {
+    options = options || {};
+    const result = super.insertQuery(table, valueHash, modelAttributes, options);
+
+    if (!result.bind) {
+      return result;
+    }
+
+    const returning = this._returningAttributes(modelAttributes, options.returning);
+    const identity = _.find(modelAttributes, attribute => attribute.autoIncrement && !valueHash[attribute.field]);
+    if (identity && !returning.includes(identity)) {
+      // always hand back the generated identity so the instance gets its primary key
+      returning.unshift(identity);
+    }
+    _.each(modelAttributes, attribute => {
+      if (valueHash[attribute.field] instanceof DataTypes.GUID && !returning.includes(attribute)) {
+        // and the GUIDs generated by the server defaults
+        returning.push(attribute);
+      }
+    });
+
+    if (returning.length) {
+      const returningInto = this._returningIntoFragment(returning, result.bind);
+      result.query = result.query.replace(/;( SET IDENTITY_INSERT \S+ OFF;)?$/, (match, identityInsertOff) =>
+        `${returningInto};${identityInsertOff || ''}`
+      );
+    }
+
+    return result;
+  }
+
+  bulkInsertQuery(tableName, fieldValueHashes, options, fieldMappedAttributes) {
+    fieldMappedAttributes = fieldMappedAttributes || {};
+
+    const quotedTable = this.quoteTable(tableName);
+    const identityFields = Object.keys(_.pickBy(fieldMappedAttributes, attribute => attribute.autoIncrement));
+    const identityInsert = fieldValueHashes.some(fieldValueHash =>
+      identityFields.some(field => fieldValueHash[field] !== null && fieldValueHash[field] !== undefined)
+    );
+
+    if (!identityInsert) {
+      // leave the identity columns out so that the database generates them
+      fieldValueHashes = fieldValueHashes.map(fieldValueHash => _.omit(fieldValueHash, identityFields));
+    }
+
+    if (fieldValueHashes.every(fieldValueHash => _.isEmpty(fieldValueHash))) {
+      // INSERT ... DEFAULT VALUES takes a single row, the rows are inserted by statements of their own
+      return fieldValueHashes.map(() => `INSERT INTO ${quotedTable} DEFAULT VALUES;`);
+    }
+
+    let query = super.bulkInsertQuery(tableName, fieldValueHashes, options, fieldMappedAttributes);
+
+    if (identityInsert) {
+      query = `SET IDENTITY_INSERT ${quotedTable} ON; ${query} SET IDENTITY_INSERT ${quotedTable} OFF;`;
+    }
+
+    return query;
+  }
+
+  /**
+   * Split the rows of a bulk insert into batches of one parameterised INSERT, executed with array binding.
+   * Consecutive rows share a batch as long as their values bind to the same statement (a NULL, a
+   * SequelizeMethod or a spatial reference system of its own starts a new one), up to `options.batchSize` rows.
+   *
+   * Rows skipped by `ignoreDuplicates` hand back no key. Returns null when the rows carry explicit identity
+   * values, which have to go through `bulkInsertQuery` to switch IDENTITY_INSERT on.
+   *
+   * @param {string} tableName
+   * @param {Array<Object>} fieldValueHashes
+   * @param {Object} options
+   * @param {Object} fieldMappedAttributes
+   * @returns {Array<Object>|null} batches of `{ query, bind, indexes }`, `bind` holding the values of each row
+   * followed by the `RETURNING ... INTO` targets and `indexes` the positions of the rows in `fieldValueHashes`
+   */
+  bulkInsertBatches(tableName, fieldValueHashes, options, fieldMappedAttributes) {
+    options = options || {};
+    fieldMappedAttributes = fieldMappedAttributes || {};
+
+    const batchSize = options.batchSize || 1000;
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error(`batchSize must be a positive integer, got ${util.inspect(options.batchSize)}`);
+    }
+
+    const identityFields = Object.keys(_.pickBy(fieldMappedAttributes, attribute => attribute.autoIncrement));
+    if (fieldValueHashes.some(fieldValueHash => identityFields.some(field => fieldValueHash[field] !== null && fieldValueHash[field] !== undefined))) {
+      return null;
+    }
+
+    const fields = _.uniq(_.flatMap(fieldValueHashes, fieldValueHash => Object.keys(fieldValueHash)))
+      .filter(field => !identityFields.includes(field));
+    const ignoreDuplicates = options.ignoreDuplicates ? this._dialect.supports.inserts.ignoreDuplicates : '';
+    const onDuplicateKeyUpdate = options.updateOnDuplicate
+      ? `${this._dialect.supports.inserts.updateOnDuplicate} ${options.updateOnDuplicate.map(field => `${this.quoteIdentifier(field)}=VALUES(${this.quoteIdentifier(field)})`).join(',')}`
+      : '';
+
+    // the generated identity is handed back row by row through the out binds
+    const returning = _.uniq(_.filter(fieldMappedAttributes, attribute => attribute.autoIncrement)
+      .concat(this._returningAttributes(fieldMappedAttributes, options.returning)));
+    const prefix = fields.length
+      ? `INSERT${ignoreDuplicates} INTO ${this.quoteTable(tableName)} (${fields.map(field => this.quoteIdentifier(field)).join(',')}) VALUES (`
+      : `INSERT${ignoreDuplicates} INTO ${this.quoteTable(tableName)} DEFAULT VALUES`;
+    const suffix = `${fields.length ? ')' : ''}${onDuplicateKeyUpdate}${returning.length
+      ? ` RETURNING ${returning.map(attribute => this.quoteIdentifier(attribute.field)).join(',')} INTO ${returning.map(() => '?').join(',')}`
+      : ''};`;
+    const outBinds = returning.map(attribute => new OutBind(attribute.field, attribute.type));
+    const batches = [];
+    let batch;
+
+    fieldValueHashes.forEach((fieldValueHash, index) => {
+      const bind = [];
+      const bindParam = value => {
+        bind.push(value);
+        return '?';
+      };
+      const values = fields.map(field => {
+        const value = fieldValueHash[field] === undefined ? null : fieldValueHash[field];
+
+        if (value instanceof Utils.SequelizeMethod) {
+          return this.escape(value, fieldMappedAttributes[field], { context: 'INSERT' });
+        }
+        return this.format(value, fieldMappedAttributes[field], { context: 'INSERT' }, bindParam);
+      });
+      const query = `${prefix}${values.join(',')}${suffix}`;
+
+      if (!batch || batch.query !== query || batch.bind.length === batchSize) {
+        batch = { query, bind: [], indexes: [] };
+        batches.push(batch);
+      }
+      batch.bind.push(bind.concat(outBinds));
+      batch.indexes.push(index);
+    });
+
+    return batches;
+  }
+
+  updateQuery(tableName, attrValueHash, where, options, attributes) {
+    options = options || {};
+    const result = super.updateQuery(tableName, attrValueHash, where, options, attributes);
+    const returning = this._returningAttributes(attributes, options.returning);
+
+    if (result.bind && returning.length) {
+      // ensure that the return output is properly mapped to model fields.
+      options.mapToModel = true;
+      result.query += this._returningIntoFragment(returning, result.bind);
+    }
+
+    return result;
+  }
+
+  /**
+   * Attributes requested through `options.returning`, either all of them (`true`) or a list of fields
+   *
+   * @param {Object} attributes
+   * @param {boolean|Array} returning
+   * @returns {Array}
+   * @private
+   */
+  _returningAttributes(attributes, returning) {
+    return _.filter(attributes, attribute => !(attribute.type instanceof DataTypes.VIRTUAL) && (
+      returning === true || Array.isArray(returning) && (returning.includes(attribute.field) || returning.includes(attribute.fieldName))
+    ));
+  }
+
+  /**
+   * Dmdb has no `RETURNING *`, returned columns are read back through out binds instead
+   *
+   * @param {Array} attributes
+   * @param {Array} bind
+   * @returns {string}
+   * @private
+   */
+  _returningIntoFragment(attributes, bind) {
+    const bindParam = this.bindParam(bind);
+    const fields = attributes.map(attribute => this.quoteIdentifier(attribute.field));
+    const targets = attributes.map(attribute => bindParam(new OutBind(attribute.field, attribute.type)));
+
+    return ` RETURNING ${fields.join(',')} INTO ${targets.join(',')}`;
+  }
+
   upsertQuery(tableName, insertValues, updateValues, where, model, options) {
     options = options || {};
     _.defaults(options, this.options);
@@ -336,10 +830,11 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
       }
     }
 
+    const quotedId = this.quoteIdentifier('id');
     let selectQuery = 'SELECT ';
     fields.forEach((field, idx) => {
-      if (idx === 0 && field !== '"id"') {
-        selectQuery += 'NULL "id", ';
+      if (idx === 0 && field !== quotedId) {
+        selectQuery += `NULL ${quotedId}, `;
       }
       if (idx > 0) {
         selectQuery += ', ';
@@ -358,7 +853,7 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
         if (updateQueryAddedFields) {
           updateQuery += ', ';
         }
-        updateQuery += `T1."${key}"=T2."${key}"`;
+        updateQuery += `T1.${this.quoteIdentifier(key)}=T2.${this.quoteIdentifier(key)}`;
         updateQueryAddedFields = true;
       }
     });
@@ -454,51 +949,176 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
   }
 
   deleteQuery(tableName, where, options = {}, model) {
-    let limit = '';
-    let query = `DELETE FROM ${this.quoteTable(tableName)}`;
+    const conditions = [];
 
+    where = this.getWhereConditions(where, null, model, options);
+
+    if (where) {
+      conditions.push(options.limit ? `(${where})` : where);
+    }
+    // DM has no DELETE ... LIMIT
     if (options.limit) {
-      limit = ` LIMIT ${this.escape(options.limit)}`;
+      conditions.push(`ROWNUM <= ${this.escape(options.limit)}`);
     }
 
-    where = this.getWhereConditions(where, null, model, options);
+    let query = `DELETE FROM ${this.quoteTable(tableName)}`;
+    if (conditions.length) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
 
-    if (where) {
-      query += ` WHERE ${where}`;
+    return query;
+  }
+
+  /**
+   * DM only takes exclusive row locks: `lock: true` and `LOCK.UPDATE` select FOR UPDATE, restricted to the
+   * primary key of `lock.of`, or of the main model when rows of included models are joined.
+   * The shared levels throw rather than silently taking an exclusive lock.
+   * `skipLocked`, `nowait` and `waitSeconds` set what happens to rows locked by other sessions.
+   *
+   * @param {string} tableName
+   * @param {Object} options
+   * @param {Model} model
+   * @returns {string}
+   */
+  selectQuery(tableName, options, model) {
+    if (!options.lock) {
+      return super.selectQuery(tableName, options, model);
+    }
+
+    const level = typeof options.lock === 'object' ? options.lock.level : options.lock;
+    if (level !== true && level !== undefined && level !== Transaction.LOCK.UPDATE) {
+      throw new Error(`DMDB only takes exclusive row locks, use lock: true or LOCK.UPDATE instead of ${util.inspect(level)}`);
+    }
+
+    const waits = ['skipLocked', 'nowait', 'waitSeconds'].filter(option => options[option] !== undefined && options[option] !== false);
+    if (waits.length > 1) {
+      throw new Error(`${waits.join(', ')} cannot be combined`);
     }
 
-    return query + limit;
+    let lock = ' FOR UPDATE';
+    const of = options.lock.of || !_.isEmpty(options.include) && model;
+    if (of && of.prototype instanceof Model) {
+      const alias = this._lockAlias(of, options, model);
+      lock += ` OF ${of.primaryKeyAttributes.map(key => `${alias}.${this.quoteIdentifier(of.rawAttributes[key].field || key)}`).join(', ')}`;
+    }
+    if (options.skipLocked) {
+      lock += ' SKIP LOCKED';
+    } else if (options.nowait) {
+      lock += ' NOWAIT';
+    } else if (waits.length) {
+      if (!Number.isInteger(options.waitSeconds) || options.waitSeconds < 0) {
+        throw new Error(`waitSeconds must be a number of seconds, got ${util.inspect(options.waitSeconds)}`);
+      }
+      lock += ` WAIT ${options.waitSeconds}`;
+    }
+
+    return `${super.selectQuery(tableName, Object.assign({}, options, { lock: false }), model).slice(0, -1)}${lock};`;
   }
 
-  showIndexesQuery(tableName, options) {
-    const sql = `SELECT TABLE_NAME,INDEX_NAME FROM DBA_IND_COLUMNS WHERE TABLE_NAME= '${tableName}';`;
-    return sql;
+  /**
+   * The quoted alias of a model in a select, the main table or one of the includes
+   *
+   * @param {Model} target
+   * @param {Object} options select options
+   * @param {Model} model main model
+   * @returns {string}
+   * @private
+   */
+  _lockAlias(target, options, model) {
+    if (target === model) {
+      return this.quoteIdentifier(options.tableAs || model.name);
+    }
+
+    const find = (includes, parentAs) => {
+      for (const include of includes || []) {
+        const as = parentAs ? `${parentAs}->${include.as}` : include.as;
+        if (include.model === target) {
+          return as;
+        }
+        const nested = find(include.include, as);
+        if (nested) {
+          return nested;
+        }
+      }
+    };
+
+    return this.quoteIdentifier(find(options.include) || target.name);
   }
 
-  showConstraintsQuery(table, constraintName) {
-    const tableName = table.tableName || table;
-    const schemaName = table.schema;
-
-    let sql = [
-      'SELECT CONSTRAINT_CATALOG AS constraintCatalog,',
-      'CONSTRAINT_NAME AS constraintName,',
-      'CONSTRAINT_SCHEMA AS constraintSchema,',
-      'CONSTRAINT_TYPE AS constraintType,',
-      'TABLE_NAME AS tableName,',
-      'TABLE_SCHEMA AS tableSchema',
-      'from INFORMATION_SCHEMA.TABLE_CONSTRAINTS',
-      `WHERE table_name='${tableName}'`
-    ].join(' ');
+  selectFromTableFragment(options, model, attributes, tables, mainTableAs) {
+    const fragment = super.selectFromTableFragment(options, model, attributes, tables, mainTableAs);
 
-    if (constraintName) {
-      sql += ` AND constraint_name = '${constraintName}'`;
+    if (this._pagination() !== 'top' || options.limit == null || options.groupedLimit) {
+      return fragment;
     }
 
-    if (schemaName) {
-      sql += ` AND TABLE_SCHEMA = '${schemaName}'`;
+    const top = options.offset
+      ? `TOP ${this.escape(options.offset)}, ${this.escape(options.limit)}`
+      : `TOP ${this.escape(options.limit)}`;
+
+    return fragment.replace(/^SELECT /, `SELECT ${top} `);
+  }
+
+  addLimitAndOffset(options) {
+    const offset = options.offset ? this.escape(options.offset) : null;
+    const limit = options.limit != null ? this.escape(options.limit) : null;
+
+    switch (this._pagination()) {
+      case 'fetch':
+        return `${offset ? ` OFFSET ${offset} ROWS` : ''}${limit ? ` FETCH ${offset ? 'NEXT' : 'FIRST'} ${limit} ROWS ONLY` : ''}`;
+      case 'top':
+        // the limit went into SELECT TOP, an offset alone still needs the row limiting clause
+        return !limit && offset ? ` OFFSET ${offset} ROWS` : '';
+      default:
+        if (limit) {
+          return ` LIMIT ${limit}${offset ? ` OFFSET ${offset}` : ''}`;
+        }
+        return offset ? ` OFFSET ${offset} ROWS` : '';
     }
+  }
 
-    return `${sql};`;
+  showIndexesQuery(tableName) {
+    const owner = this._schemaOwner(tableName.schema);
+    tableName = tableName.tableName || tableName;
+
+    return [
+      'SELECT',
+      'i.INDEX_NAME AS "name",',
+      'i.TABLE_NAME AS "tableName",',
+      'i.INDEX_TYPE AS "type",',
+      'i.UNIQUENESS AS "uniqueness",',
+      '(CASE WHEN k.CONSTRAINT_NAME IS NULL THEN 0 ELSE 1 END) AS "primary",',
+      'ic.COLUMN_NAME AS "columnName",',
+      'ic.COLUMN_POSITION AS "position",',
+      'ic.DESCEND AS "descend",',
+      'ie.COLUMN_EXPRESSION AS "expression"',
+      'FROM ALL_INDEXES i',
+      'INNER JOIN ALL_IND_COLUMNS ic ON ic.INDEX_OWNER = i.OWNER AND ic.INDEX_NAME = i.INDEX_NAME',
+      'LEFT JOIN ALL_IND_EXPRESSIONS ie ON ie.INDEX_OWNER = i.OWNER AND ie.INDEX_NAME = i.INDEX_NAME',
+      'AND ie.COLUMN_POSITION = ic.COLUMN_POSITION',
+      'LEFT JOIN ALL_CONSTRAINTS k ON k.OWNER = i.TABLE_OWNER AND k.TABLE_NAME = i.TABLE_NAME',
+      'AND k.INDEX_NAME = i.INDEX_NAME AND k.CONSTRAINT_TYPE = \'P\'',
+      `WHERE i.TABLE_NAME = ${this._identifierLiteral(tableName)} AND i.TABLE_OWNER = ${owner}`,
+      'ORDER BY i.INDEX_NAME, ic.COLUMN_POSITION;'
+    ].join(' ');
+  }
+
+  showConstraintsQuery(table, constraintName) {
+    const tableName = table.tableName || table;
+
+    return [
+      'SELECT c.OWNER AS "constraintCatalog",',
+      'c.CONSTRAINT_NAME AS "constraintName",',
+      'c.OWNER AS "constraintSchema",',
+      'CASE c.CONSTRAINT_TYPE WHEN \'P\' THEN \'PRIMARY KEY\' WHEN \'U\' THEN \'UNIQUE\'',
+      'WHEN \'R\' THEN \'FOREIGN KEY\' WHEN \'C\' THEN \'CHECK\' END AS "constraintType",',
+      'c.TABLE_NAME AS "tableName",',
+      'c.OWNER AS "tableSchema"',
+      'FROM ALL_CONSTRAINTS c',
+      `WHERE c.TABLE_NAME = ${this._identifierLiteral(tableName)} AND c.OWNER = ${this._schemaOwner(table.schema)}`,
+      constraintName ? `AND c.CONSTRAINT_NAME = ${this._identifierLiteral(constraintName)}` : '',
+      'ORDER BY c.CONSTRAINT_NAME;'
+    ].filter(Boolean).join(' ');
   }
 
   removeIndexQuery(tableName, indexNameOrAttributes) {
@@ -518,28 +1138,47 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
       };
     }
 
-    const attributeString = attribute.type.toString({ escape: this.escape.bind(this) });
+    const attributeString = attribute.type instanceof DataTypes.UUID
+      ? uuidColumnTypes[this._uuidStorage()]
+      : attribute.type.toString({ escape: this.escape.bind(this) });
     let template = attributeString;
 
     if (attribute.allowNull === false) {
       template += ' NOT NULL';
+    } else if (attribute.allowNull === true && options && options.context === 'changeColumn') {
+      // changeColumn only alters the nullability the attribute sets
+      template += ' NULL';
     }
 
     if (attribute.autoIncrement) {
-      template += ' auto_increment';
+      template += ` IDENTITY(${attribute.autoIncrementSeed || 1}, ${attribute.autoIncrementStep || 1})`;
     }
 
     // BLOB/TEXT/GEOMETRY/JSON cannot have a default value
     if (!typeWithoutDefault.has(attributeString)
+      && !isSpatial(attribute.type)
       && attribute.type._binary !== true
       && Utils.defaultValueSchemable(attribute.defaultValue)) {
-      // if the type is BIT, change the default value to '0' and '1'
-      if (attributeString === 'BIT' && typeof attribute.defaultValue === 'boolean') {
-        attribute.defaultValue = attribute.defaultValue ? 1 : 0;
-      }
       template += ` DEFAULT ${this.escape(attribute.defaultValue)}`;
     }
 
+    // DM keeps JSON in CLOB columns constrained to hold JSON documents
+    const column = options && (options.field || options.foreignKey);
+    if (attribute.type instanceof DataTypes.JSON && column && options.context !== 'changeColumn') {
+      template += ` CHECK (${this.quoteIdentifier(column)} IS JSON(LAX))`;
+    }
+
+    // ENUM values are checked by a constraint named after the column, replaced by changeColumn
+    if (attribute.type instanceof DataTypes.ENUM && column) {
+      const table = options.table || options.tableName;
+      const values = attribute.type.values.map(value => this.escape(value)).join(', ');
+
+      if (table) {
+        template += ` CONSTRAINT ${this.quoteIdentifier(this._enumCheckName(table, column))}`;
+      }
+      template += ` CHECK (${this.quoteIdentifier(column)} IN (${values}))`;
+    }
+
     if (attribute.unique === true) {
       template += ' UNIQUE';
     }
@@ -548,10 +1187,6 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
       template += ' PRIMARY KEY';
     }
 
-    if (attribute.comment) {
-      template += ` COMMENT ${this.escape(attribute.comment)}`;
-    }
-
     if (attribute.first) {
       template += ' FIRST';
     }
@@ -585,6 +1220,11 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
       }
     }
 
+    // kept last so the DDL queries can split it off into COMMENT ON COLUMN
+    if (attribute.comment && typeof attribute.comment === 'string') {
+      template += ` COMMENT ${this.escape(attribute.comment)}`;
+    }
+
     return template;
   }
 
@@ -593,7 +1233,8 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
 
     for (const key in attributes) {
       const attribute = attributes[key];
-      result[attribute.field || key] = this.attributeToSQL(attribute, options);
+      const field = attribute.field || key;
+      result[field] = this.attributeToSQL(attribute, Object.assign({}, options, { field }));
     }
 
     return result;
@@ -627,13 +1268,6 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
         continue;
       }
 
-      const operatorMatches = jsonOperatorRegex.exec(string);
-      if (operatorMatches) {
-        currentIndex += operatorMatches[0].length;
-        hasJsonFunction = true;
-        continue;
-      }
-
       const tokenMatches = tokenCaptureRegex.exec(string);
       if (tokenMatches) {
         const capturedToken = tokenMatches[1];
@@ -671,7 +1305,9 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
    */
   getForeignKeysQuery(table, schemaName) {
     const tableName = table.tableName || table;
-    return `SELECT ${foreignKeyFields} FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE where TABLE_NAME = '${tableName}' AND CONSTRAINT_NAME!='PRIMARY' AND CONSTRAINT_SCHEMA='${schemaName}' AND REFERENCED_TABLE_NAME IS NOT NULL;`;
+    const owner = this._schemaOwner(table.schema || schemaName);
+
+    return `SELECT ${foreignKeyFields} WHERE fk.CONSTRAINT_TYPE = 'R' AND fk.TABLE_NAME = ${this._identifierLiteral(tableName)} AND fk.OWNER = ${owner};`;
   }
 
   /**
@@ -683,16 +1319,13 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
    * @private
    */
   getForeignKeyQuery(table, columnName) {
-    const quotedSchemaName = table.schema ? wrapSingleQuote(table.schema) : '';
-    const quotedTableName = wrapSingleQuote(table.tableName || table);
-    const quotedColumnName = wrapSingleQuote(columnName);
+    const tableName = this._identifierLiteral(table.tableName || table);
+    const owner = this._schemaOwner(table.schema);
+    const column = this._identifierLiteral(columnName);
 
-    return `SELECT ${foreignKeyFields} FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE`
-      + ` WHERE (REFERENCED_TABLE_NAME = ${quotedTableName}${table.schema
-        ? ` AND REFERENCED_TABLE_SCHEMA = ${quotedSchemaName}`
-        : ''} AND REFERENCED_COLUMN_NAME = ${quotedColumnName})`
-      + ` OR (TABLE_NAME = ${quotedTableName}${table.schema ?
-        ` AND TABLE_SCHEMA = ${quotedSchemaName}` : ''} AND COLUMN_NAME = ${quotedColumnName} AND REFERENCED_TABLE_NAME IS NOT NULL)`;
+    return `SELECT ${foreignKeyFields} WHERE fk.CONSTRAINT_TYPE = 'R'`
+      + ` AND ((pk.TABLE_NAME = ${tableName} AND pk.OWNER = ${owner} AND pkc.COLUMN_NAME = ${column})`
+      + ` OR (fk.TABLE_NAME = ${tableName} AND fk.OWNER = ${owner} AND fkc.COLUMN_NAME = ${column}));`;
   }
 
   /**
@@ -704,14 +1337,117 @@ class DmdbQueryGenerator extends AbstractQueryGenerator {
    * @private
    */
   dropForeignKeyQuery(tableName, foreignKey) {
-    return `ALTER TABLE ${this.quoteTable(tableName)}
-      DROP FOREIGN KEY ${this.quoteIdentifier(foreignKey)};`;
+    return `ALTER TABLE ${this.quoteTable(tableName)} DROP CONSTRAINT ${this.quoteIdentifier(foreignKey)};`;
   }
-}
 
-// private methods
-function wrapSingleQuote(identifier) {
-  return Utils.addTicks(identifier, '\'');
+  addConstraintQuery(tableName, options) {
+    const constraintSnippet = this.getConstraintSnippet(tableName.tableName || tableName, options || {});
+
+    return `ALTER TABLE ${this.quoteTable(tableName)} ADD ${constraintSnippet};`;
+  }
+
+  removeConstraintQuery(tableName, constraintName) {
+    return `ALTER TABLE ${this.quoteTable(tableName)} DROP CONSTRAINT ${this.quoteIdentifier(constraintName)};`;
+  }
+
+  /**
+   * DM starts transactions implicitly, the statements of a transaction run without autocommit
+   * (see Query#run). The first statement sets the access mode, after the isolation level.
+   *
+   * @param  {Transaction} transaction
+   * @returns {string}
+   * @private
+   */
+  startTransactionQuery(transaction) {
+    if (transaction.parent) {
+      return super.startTransactionQuery(transaction);
+    }
+
+    return `SET TRANSACTION ${transaction.options.readOnly ? 'READ ONLY' : 'READ WRITE'};`;
+  }
+
+  /**
+   * @param {string|Object} tableName
+   * @param {string} mode one of the DM table lock modes, e.g. 'ROW EXCLUSIVE' or 'EXCLUSIVE'
+   * @param {Object} [options]
+   * @param {boolean} [options.nowait] fail instead of waiting for conflicting locks
+   * @returns {string}
+   */
+  lockTableQuery(tableName, mode, options) {
+    mode = String(mode).toUpperCase();
+    if (!tableLockModes.includes(mode)) {
+      throw new Error(`Supported table lock modes are: ${tableLockModes.join(', ')}`);
+    }
+
+    return `LOCK TABLE ${this.quoteTable(tableName)} IN ${mode} MODE${options && options.nowait ? ' NOWAIT' : ''};`;
+  }
+
+  /**
+   * Dictionary views filter on OWNER, defaulting to the schema of the session
+   *
+   * @param {string} [schema] schema name
+   * @returns {string} the escaped owner expression
+   * @private
+   */
+  _schemaOwner(schema) {
+    return schema ? this._identifierLiteral(schema) : 'SYS_CONTEXT(\'USERENV\', \'CURRENT_SCHEMA\')';
+  }
+
+  quoteIdentifier(identifier, force) {
+    return QuoteHelper.quoteIdentifier(this.dialect, identifier, {
+      force,
+      quoteIdentifiers: this.options.quoteIdentifiers,
+      identifierCase: this._identifierCase()
+    });
+  }
+
+  /**
+   * The identifier case policy, set through `dialectOptions.identifierCase`:
+   * `preserve` quotes identifiers as written, `upper` quotes them upper cased
+   * and `none` leaves them unquoted whenever DM allows it
+   *
+   * @returns {string}
+   * @private
+   */
+  _identifierCase() {
+    return _.get(this.options, ['dialectOptions', 'identifierCase'])
+      || (this.options.quoteIdentifiers === false ? 'none' : 'preserve');
+  }
+
+  /**
+   * The pagination syntax, set through `dialectOptions.pagination`:
+   * `limit` for LIMIT n OFFSET m, `fetch` for OFFSET m ROWS FETCH NEXT n ROWS ONLY
+   * and `top` for SELECT TOP m, n in compatibility modes without LIMIT
+   *
+   * @returns {string}
+   * @private
+   */
+  _pagination() {
+    return _.get(this.options, ['dialectOptions', 'pagination']) || 'limit';
+  }
+
+  /**
+   * The UUID column type, set through `dialectOptions.uuidStorage`:
+   * `char` for CHAR(36), `varchar` for VARCHAR(36) and `binary` for BINARY(16)
+   *
+   * @returns {string}
+   * @private
+   */
+  _uuidStorage() {
+    return _.get(this.options, ['dialectOptions', 'uuidStorage']) || 'char';
+  }
+
+  /**
+   * Escape an identifier as a string literal, folded the way quoteIdentifier folds it,
+   * to compare it with the names stored in the dictionary views
+   *
+   * @param {string} identifier
+   * @returns {string}
+   * @private
+   */
+  _identifierLiteral(identifier) {
+    return this.escape(this._identifierCase() === 'preserve' ? identifier : identifier.toUpperCase());
+  }
 }
 
 module.exports = DmdbQueryGenerator;
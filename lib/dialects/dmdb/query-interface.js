@@ -1,7 +1,7 @@
 'use strict';
 
 /**
- Returns an object that treats MySQL's inabilities to do certain queries.
+ Returns an object that treats DM's inabilities to do certain queries.
 
  @class QueryInterface
  @static
@@ -12,7 +12,7 @@ const Promise = require('../../promise');
 const sequelizeErrors = require('../../errors');
 
 /**
- A wrapper that fixes MySQL's inability to cleanly remove columns from existing tables if they have a foreign key constraint.
+ A wrapper that fixes DM's inability to remove columns from existing tables if they take part in a foreign key constraint.
 
  @param  {QueryInterface} qi
  @param  {string} tableName     The name of the table.
@@ -25,23 +25,16 @@ function removeColumn(qi, tableName, columnName, options) {
   options = options || {};
 
   return qi.sequelize.query(
-    qi.QueryGenerator.getForeignKeyQuery(tableName.tableName ? tableName : {
-      tableName,
-      schema: qi.sequelize.config.database
-    }, columnName),
-    Object.assign({ raw: true }, options)
+    qi.QueryGenerator.getForeignKeyQuery(tableName, columnName),
+    Object.assign({}, options, { type: qi.sequelize.QueryTypes.FOREIGNKEYS })
   )
-    .then(([results]) => {
-      //Exclude primary key constraint
-      if (!results.length || results[0].constraint_name === 'PRIMARY') {
-        // No foreign key constraints found, so we can remove the column
-        return;
-      }
-      return Promise.map(results, constraint => qi.sequelize.query(
-        qi.QueryGenerator.dropForeignKeyQuery(tableName, constraint.constraint_name),
-        Object.assign({ raw: true }, options)
-      ));
-    })
+    .then(results => Promise.map(results, constraint => qi.sequelize.query(
+      qi.QueryGenerator.dropForeignKeyQuery({
+        tableName: constraint.tableName,
+        schema: constraint.tableSchema
+      }, constraint.constraint_name),
+      Object.assign({ raw: true }, options)
+    )))
     .then(() => qi.sequelize.query(
       qi.QueryGenerator.removeColumnQuery(tableName, columnName),
       Object.assign({ raw: true }, options)
@@ -57,18 +50,12 @@ function removeColumn(qi, tableName, columnName, options) {
  * @private
  */
 function removeConstraint(qi, tableName, constraintName, options) {
-  const sql = qi.QueryGenerator.showConstraintsQuery(
-    tableName.tableName ? tableName : {
-      tableName,
-      schema: qi.sequelize.config.database
-    }, constraintName);
+  const sql = qi.QueryGenerator.showConstraintsQuery(tableName, constraintName);
 
   return qi.sequelize.query(sql, Object.assign({}, options,
     { type: qi.sequelize.QueryTypes.SHOWCONSTRAINTS }))
     .then(constraints => {
-      const constraint = constraints[0];
-      let query;
-      if (!constraint || !constraint.constraintType) {
+      if (!constraints.length) {
         throw new sequelizeErrors.UnknownConstraintError(
           {
             message: `Constraint ${constraintName} on table ${tableName} does not exist`,
@@ -77,15 +64,106 @@ function removeConstraint(qi, tableName, constraintName, options) {
           });
       }
 
-      if (constraint.constraintType === 'FOREIGN KEY') {
-        query = qi.QueryGenerator.dropForeignKeyQuery(tableName, constraintName);
-      } else {
-        query = qi.QueryGenerator.removeIndexQuery(constraint.tableName, constraint.constraintName);
-      }
+      return qi.sequelize.query(qi.QueryGenerator.removeConstraintQuery(tableName, constraintName), options);
+    });
+}
+
+/**
+ A wrapper that keeps the CHECK constraints holding ENUM values in sync: the constraints of the
+ changed columns are dropped, the new definitions add back the values they allow.
+
+ @param  {QueryInterface} qi
+ @param  {string} tableName     The name of the table.
+ @param  {Object} attributes    Normalized attribute definitions, keyed by column name.
+ @param  {Object} options
+
+ @private
+ */
+function changeColumn(qi, tableName, attributes, options) {
+  const sql = qi.QueryGenerator.changeColumnQuery(tableName, qi.QueryGenerator.attributesToSQL(attributes, {
+    context: 'changeColumn',
+    table: tableName
+  }));
+
+  return Promise.each(Object.keys(attributes), attributeName => {
+    const constraintName = qi.QueryGenerator._enumCheckName(tableName, attributes[attributeName].field || attributeName);
 
-      return qi.sequelize.query(query, options);
+    return qi.sequelize.query(
+      qi.QueryGenerator.showConstraintsQuery(tableName, constraintName),
+      Object.assign({}, options, { type: qi.sequelize.QueryTypes.SHOWCONSTRAINTS })
+    ).then(constraints => {
+      if (constraints.length) {
+        return qi.sequelize.query(qi.QueryGenerator.removeConstraintQuery(tableName, constraintName), Object.assign({ raw: true }, options));
+      }
     });
+  }).then(() => runStatements(qi, sql, options));
+}
+
+/**
+ A wrapper that inserts the records with one parameterised INSERT executed with array binding, in batches of
+ `options.batchSize` rows. The rows rejected by the database do not stop the others: once every batch ran, the
+ promise is rejected with an AggregateError of BulkRecordErrors pointing at the records that failed.
+
+ @param  {QueryInterface} qi
+ @param  {string} tableName     The name of the table.
+ @param  {Array}  records       List of records to insert.
+ @param  {Object} options
+ @param  {Object} attributes    Attributes mapped by field name.
+
+ @returns {Promise<Array>} the generated keys and returned values of each record
+
+ @private
+ */
+function bulkInsert(qi, tableName, records, options, attributes) {
+  const batches = qi.QueryGenerator.bulkInsertBatches(tableName, records, options, attributes);
+
+  if (!batches) {
+    return qi.sequelize.query(qi.QueryGenerator.bulkInsertQuery(tableName, records, options, attributes), options)
+      .then(results => results[0]);
+  }
+
+  const results = new Array(records.length);
+  const errors = new Promise.AggregateError();
+
+  return Promise.each(batches, batch => qi.sequelize.query(batch.query, Object.assign({}, options, { bulkBind: batch.bind }))
+    .then(([rows, rowErrors]) => {
+      rows.forEach((row, i) => {
+        results[batch.indexes[i]] = row;
+      });
+      for (const { index, error } of rowErrors) {
+        errors.push(new sequelizeErrors.BulkRecordError(error, records[batch.indexes[index]]));
+      }
+    })
+  ).then(() => {
+    if (errors.length) {
+      throw errors;
+    }
+    return results;
+  });
+}
+
+/**
+ Runs the statements generated for a DDL change one after the other, as the driver executes a single statement
+ at a time.
+
+ @param  {QueryInterface} qi
+ @param  {string|Array<string>} sql   A statement or a list of statements.
+ @param  {Object} options
+
+ @returns {Promise} the result of the first statement
+
+ @private
+ */
+function runStatements(qi, sql, options) {
+  if (!Array.isArray(sql)) {
+    return qi.sequelize.query(sql, options);
+  }
+
+  return Promise.mapSeries(sql, statement => qi.sequelize.query(statement, options)).then(results => results[0]);
 }
 
+exports.bulkInsert = bulkInsert;
+exports.changeColumn = changeColumn;
 exports.removeConstraint = removeConstraint;
 exports.removeColumn = removeColumn;
+exports.runStatements = runStatements;
@@ -3,11 +3,56 @@
 const Utils = require('../../utils');
 const AbstractQuery = require('../abstract/query');
 const sequelizeErrors = require('../../errors');
+const parserStore = require('../parserStore')('dmdb');
+const DataTypes = require('../../data-types');
 const _ = require('lodash');
+const { Readable } = require('stream');
 const { logger } = require('../../utils/logger');
 
 const debug = logger.debugContext('sql:dmdb');
 
+// a statement wrapped by the query generator to write explicit values to an identity column
+const identityInsertRegex = /^SET IDENTITY_INSERT (.+?) ON; ([\s\S]+) SET IDENTITY_INSERT \1 OFF;$/;
+
+// schema and table written to by a DML statement
+const statementTableRegex = /^\s*(?:INSERT\s+INTO|UPDATE|DELETE\s+FROM|MERGE\s+INTO)\s+(?:"([^"]+)"\.)?"([^"]+)"/i;
+
+// driver types used to bind `RETURNING ... INTO` targets, keyed by data type
+const outBindTypes = {
+  BIGINT: 'NUMBER',
+  BOOLEAN: 'NUMBER',
+  DECIMAL: 'NUMBER',
+  DOUBLE: 'NUMBER',
+  'DOUBLE PRECISION': 'NUMBER',
+  FLOAT: 'NUMBER',
+  INTEGER: 'NUMBER',
+  MEDIUMINT: 'NUMBER',
+  REAL: 'NUMBER',
+  SMALLINT: 'NUMBER',
+  TINYINT: 'NUMBER',
+  DATE: 'DATE',
+  BLOB: 'BUFFER'
+};
+
+// types reported with their length, and with their precision and scale by describeTable
+const sizedTypes = new Set(['CHAR', 'CHARACTER', 'VARCHAR', 'VARCHAR2', 'NVARCHAR', 'NCHAR', 'BINARY', 'VARBINARY']);
+const numericTypes = new Set(['DECIMAL', 'DEC', 'NUMERIC', 'NUMBER']);
+
+// BLOB and CLOB columns are handed back by the driver as `Lob` duplex streams
+const isLob = value => value instanceof Readable && typeof value.getData === 'function';
+
+/**
+ * Target of a `RETURNING ... INTO` clause. The query generator pushes it into
+ * the bind parameters and the query hands it to the driver as an out bind.
+ *
+ * @private
+ */
+class OutBind {
+  constructor(field, type) {
+    this.field = field;
+    this.type = type;
+  }
+}
 
 class Query extends AbstractQuery {
   constructor(connection, sequelize, options) {
@@ -17,6 +62,7 @@ class Query extends AbstractQuery {
     this.resultSet = options.resultSet === true;
     this.extendedMetaData = options.extendedMetaData === true;
     this.fetchInfo = options.fetchInfo;
+    this.outBinds = [];
   }
 
   static formatBindParameters(sql, values, dialect) {
@@ -33,10 +79,11 @@ class Query extends AbstractQuery {
   }
 
   run(sql, parameters) {
-    // fix: replace true with 1, false with 0
-    if (this.isSelectQuery() && (sql.includes(' = true') || sql.includes(' = false'))) {
-      sql = sql.replace(/ = true/g, ' = 1').replace(/ = false/g, ' = 0');
+    const identityInsert = identityInsertRegex.exec(sql);
+    if (identityInsert) {
+      return this._runWithIdentityInsert(identityInsert[1], identityInsert[2], parameters);
     }
+
     this.sql = sql;
     const { connection, options } = this;
 
@@ -45,8 +92,21 @@ class Query extends AbstractQuery {
 
     const complete = this._logQuery(sql, debug, parameters);
 
+    if (parameters) {
+      parameters = parameters.map(value => {
+        if (value instanceof OutBind) {
+          this.outBinds.push(value);
+          return this._outBindParameter(value);
+        }
+        return value;
+      });
+    }
+
     const execOptions = {
-      extendedMetaData: this.extendedMetaData,
+      // statements of a transaction are committed by the transaction
+      autoCommit: !options.transaction,
+      // the column type names are needed to pick the type parsers
+      extendedMetaData: this.extendedMetaData || this.isSelectQuery(),
       outFormat: this.outFormat,
       resultSet: this.resultSet,
       fetchInfo: this.fetchInfo
@@ -56,31 +116,58 @@ class Query extends AbstractQuery {
       const handler = (err, results) => {
         complete();
 
+        if (options.transaction) {
+          // the work of the transaction stays pending until COMMIT or ROLLBACK, see ConnectionManager#releaseConnection
+          connection.pendingTransaction = !options.completesTransaction || !!err || /\bSAVEPOINT\b/.test(sql);
+        }
+
         if (err) {
-          // dmdb automatically rolls-back transactions in the event of a deadlock
-          if (options.transaction && err.errno === 1213) {
-            options.transaction.finished = 'rollback';
-          }
           err.sql = sql;
           err.parameters = parameters;
-          reject(this.formatError(err));
-        } else {
-          resolve(results.rows || results.resultSet || results);
+          return this._readConstraintColumns(err).then(() => {
+            const error = this.formatError(err);
+
+            // the transaction cannot go on after a deadlock or a lock timeout, roll back the outermost one so that it can be retried
+            if (options.transaction && !options.transaction.finished && !options.completesTransaction
+              && (error instanceof sequelizeErrors.DeadlockError || error instanceof sequelizeErrors.TimeoutError)) {
+              return options.transaction._abort()
+                .catch(rollbackErr => debug(`rollback after ${error.name} failed: ${rollbackErr.message}`))
+                .then(() => reject(error));
+            }
+            reject(error);
+          }).catch(reject);
+        }
+
+        if (results.rows) {
+          this._applyParsers(results.rows, results.metaData);
         }
+        resolve(results.rows || results.resultSet || results);
       };
-      if (parameters) {
-        Object.keys(parameters).map(key => {
-          // fix: replace true with 1, false with 0
-          if (typeof parameters[key] === 'boolean') {
-            parameters[key] = parameters[key] ? 1 : 0;
-          }
-        });
+      if (options.bulkBind) {
+        // one execution per row, rows rejected by the database do not stop the others
+        const bind = options.bulkBind.map(row => row.map(value => value instanceof OutBind ? this._outBindParameter(value) : value));
+        this.outBinds = options.bulkBind[0].filter(value => value instanceof OutBind);
+        debug('%d rows', bind.length);
+        connection.executeMany(sql, bind, { autoCommit: execOptions.autoCommit, batchErrors: true, dmlRowCounts: true }, handler);
+      } else if (parameters) {
         debug('parameters(%j)', parameters);
         connection.execute(sql, parameters, execOptions, handler);
       } else {
         connection.execute(sql, {}, execOptions, handler);
       }
     })
+      .then(results => this._readLobs(results))
+    // Fetch the generated key of a single row insert. SCOPE_IDENTITY() is the key of the last row only: the keys
+    // of several rows are not contiguous under concurrent inserts, and rows skipped by ignoreDuplicates would shift them
+      .then(results => {
+        if (this.isInsertQuery() && !this.instance && !options.bulkBind && results.rowsAffected === 1 && this._hasIdentityPrimaryKey()) {
+          return this._selectScopeIdentity(execOptions).then(insertId => {
+            results[this.getInsertIdField()] = insertId;
+            return results;
+          });
+        }
+        return results;
+      })
     // Log warnings if we've got them.
       .then(results => {
         if (showWarnings && results && results.warningStatus > 0) {
@@ -92,24 +179,235 @@ class Query extends AbstractQuery {
       .then(results => this.formatResults(results));
   }
 
-  handleInsertQuery(results, metaData) {
-    if (this.instance) {
-      // add the inserted row id to the instance
-      const autoIncrementAttribute = this.model.autoIncrementAttribute;
-      let id = null;
+  /**
+   * The driver executes a single statement at a time: switch IDENTITY_INSERT on for the table, run the
+   * statement and switch it off again, also when the statement failed. IDENTITY_INSERT is a setting of
+   * the session, all three statements run on the connection of the query.
+   *
+   * @param {string} table quoted table name
+   * @param {string} sql
+   * @param {Array} [parameters]
+   * @returns {Promise}
+   * @private
+   */
+  _runWithIdentityInsert(table, sql, parameters) {
+    const setIdentityInsert = state => new Utils.Promise((resolve, reject) => {
+      const statement = `SET IDENTITY_INSERT ${table} ${state}`;
+      const complete = this._logQuery(statement, debug);
+
+      this.connection.execute(statement, {}, { autoCommit: !this.options.transaction }, err => {
+        complete();
+        if (err) {
+          err.sql = statement;
+          return reject(this.formatError(err));
+        }
+        resolve();
+      });
+    });
+
+    return setIdentityInsert('ON')
+      .then(() => this.run(sql, parameters).finally(() => setIdentityInsert('OFF')));
+  }
 
-      let resultObj = results;
-      if (Array.isArray(resultObj) && resultObj.length > 0) {
-        resultObj = resultObj[0];
+  /**
+   * Run the values of the rows through the parsers registered for their column types
+   *
+   * @param {Array<Object>} rows
+   * @param {Array<Object>} metaData column descriptions reported by the driver
+   * @private
+   */
+  _applyParsers(rows, metaData) {
+    const parsers = [];
+
+    _.each(metaData, column => {
+      if (column && column.dbTypeName) {
+        // drop lengths and precisions, e.g. TIMESTAMP(6) WITH TIME ZONE
+        const parse = parserStore.get(column.dbTypeName.replace(/\s*\([\d\s,]*\)/g, '').toUpperCase());
+        if (parse) {
+          parsers.push({ name: column.name, parse });
+        }
+      }
+    });
+
+    if (!parsers.length) {
+      return;
+    }
+
+    const options = { timezone: this.sequelize.options.timezone };
+    for (const row of rows) {
+      for (const { name, parse } of parsers) {
+        if (row[name] !== null && row[name] !== undefined) {
+          row[name] = parse(row[name], options);
+        }
       }
+    }
+  }
+
+  /**
+   * Read the LOB values of the rows into strings and Buffers, except for the columns
+   * that should be streamed: the attributes defined with `streamLob: true`, or the ones
+   * named by the `streamLobs` query option.
+   *
+   * @param {Array<Object>} rows
+   * @returns {Promise<Array<Object>>}
+   * @private
+   */
+  _readLobs(rows) {
+    if (!Array.isArray(rows)) {
+      return Utils.Promise.resolve(rows);
+    }
+
+    const streamAll = this.options.streamLobs === true;
+    const streamed = streamAll ? null : this._streamedLobKeys();
+    const reads = [];
+
+    for (const row of rows) {
+      _.forOwn(row, (value, key) => {
+        if (isLob(value) && !streamAll && !streamed.has(key.toUpperCase())) {
+          reads.push({ row, key });
+        }
+      });
+    }
+
+    // LOB data is fetched through the connection, one at a time
+    return Utils.Promise.each(reads, ({ row, key }) => Utils.Promise.resolve(row[key].getData())
+      .then(data => {
+        row[key] = data;
+      })
+    ).return(rows);
+  }
+
+  _streamedLobKeys() {
+    const keys = new Set();
+    const streamLobs = this.options.streamLobs;
+
+    if (streamLobs === false) {
+      return keys;
+    }
+
+    const addKeys = (model, prefix, names) => {
+      _.each(model && model.rawAttributes, (attribute, name) => {
+        if (names ? names.includes(name) : attribute.streamLob) {
+          keys.add(`${prefix}${name}`.toUpperCase());
+          keys.add(`${prefix}${attribute.field || name}`.toUpperCase());
+        }
+      });
+    };
+    const addIncludes = (includes, prefix) => {
+      _.each(includes, include => {
+        const as = `${prefix}${include.as}.`;
+        addKeys(include.model, as);
+        addIncludes(include.include, as);
+      });
+    };
+
+    addKeys(this.model, '', Array.isArray(streamLobs) ? streamLobs : undefined);
+    addIncludes(this.options.include, '');
+
+    return keys;
+  }
+
+  _outBindParameter(outBind) {
+    const lib = this.sequelize.connectionManager.lib;
+    const type = this._isBinaryUuid(outBind.type) ? 'BUFFER' : outBind.type && outBindTypes[outBind.type.key] || 'STRING';
+
+    return { dir: lib.BIND_OUT, type: lib[type] };
+  }
 
-      id = id || resultObj && resultObj[this.getInsertIdField()];
-      id = id || metaData && metaData[this.getInsertIdField()];
+  _hasIdentityPrimaryKey() {
+    return !!(this.model
+      && this.model.autoIncrementAttribute
+      && this.model.autoIncrementAttribute === this.model.primaryKeyAttribute
+      && this.model.rawAttributes[this.model.primaryKeyAttribute]);
+  }
+
+  _selectScopeIdentity(execOptions) {
+    const sql = `SELECT SCOPE_IDENTITY() AS "${this.getInsertIdField()}"`;
 
-      this.instance[autoIncrementAttribute] = id;
+    return new Utils.Promise((resolve, reject) => {
+      this.connection.execute(sql, [], execOptions, (err, results) => {
+        if (err) {
+          err.sql = sql;
+          return reject(this.formatError(err));
+        }
+        const row = results.rows && results.rows[0];
+        resolve(row ? _.values(row)[0] : null);
+      });
+    });
+  }
+
+  /**
+   * Rows handed back through the `RETURNING ... INTO` out binds. The driver reports
+   * a single value per out bind for one row, and an array of values when the
+   * statement touched several rows.
+   *
+   * @param {Object} results driver result
+   * @returns {Array}
+   * @private
+   */
+  _returnedRows(results) {
+    if (!this.outBinds.length || !results || !results.outBinds) {
+      return [];
+    }
+
+    const multiple = results.rowsAffected > 1;
+    const fields = this.outBinds.map(outBind => outBind.field);
+    const columns = this.outBinds.map((outBind, i) => multiple ? results.outBinds[i] : [results.outBinds[i]]);
+
+    return this.handleUuidSelectQuery(_.unzip(columns).map(values => _.zipObject(fields, values)));
+  }
+
+  _isBinaryUuid(type) {
+    return type instanceof DataTypes.UUID && this.sequelize.dialect.QueryGenerator._uuidStorage() === 'binary';
+  }
+
+  handleInsertQuery(results) {
+    if (this.instance) {
+      // add the generated and returned values to the instance
+      const row = this._returnedRows(results)[0];
+
+      for (const key in row) {
+        const attr = _.find(this.model.rawAttributes, attribute => attribute.fieldName === key || attribute.field === key);
+        this.instance.dataValues[attr && attr.fieldName || key] = row[key];
+      }
     }
   }
 
+  /**
+   * Results of an insert executed with array binding: the values handed back through the
+   * `RETURNING ... INTO` out binds for each row, and the errors of the rows that failed.
+   *
+   * @param {Object} results driver result, with the `dmlRowCounts` and `batchErrors` of the rows
+   * @returns {Array} `[rows, errors]`, `rows[i]` being null and `errors` holding `{ index, error }` when the row i failed
+   * @private
+   */
+  handleBulkInsertQuery(results) {
+    const fields = this.outBinds.map(outBind => outBind.field);
+    const messages = (results.batchErrors || []).slice();
+    const rows = [];
+    const errors = [];
+
+    _.each(results.dmlRowCounts, (count, index) => {
+      if (count === -1) {
+        // batch errors read `row[<n>]:<code>, <message>`, in the order of the failed rows
+        const match = /^row\[\d+\]:(-?\d+), ([\s\S]*)$/.exec(messages.shift() || '');
+        const err = new Error(match ? match[2] : 'row rejected by the database');
+        err.errCode = match ? Number(match[1]) : undefined;
+        err.sql = this.sql;
+        err.parameters = this.options.bulkBind[index];
+        rows.push(null);
+        errors.push({ index, error: this.formatError(err) });
+      } else {
+        // rows skipped by ignoreDuplicates hand back no values
+        const values = results.outBinds && results.outBinds[index] || [];
+        rows.push(values.length ? _.zipObject(fields, values.map(value => Array.isArray(value) ? value[0] : value)) : {});
+      }
+    });
+
+    this.handleUuidSelectQuery(rows.filter(row => row));
+    return [rows, errors];
+  }
+
   /**
    * High level function that handles the results of a query execution.
    *
@@ -130,50 +428,35 @@ class Query extends AbstractQuery {
   formatResults(data) {
     let result = this.instance;
 
+    if (this.isInsertQuery(data) && this.options.bulkBind) {
+      return this.handleBulkInsertQuery(data);
+    }
     if (this.isInsertQuery(data)) {
       this.handleInsertQuery(data);
 
       if (!this.instance) {
-        // handle bulkCreate AI primiary key
-        if (
-          data.constructor.name === 'ResultSetHeader'
-          && this.model
-          && this.model.autoIncrementAttribute
-          && this.model.autoIncrementAttribute === this.model.primaryKeyAttribute
-          && this.model.rawAttributes[this.model.primaryKeyAttribute]
-        ) {
-          const startId = data[this.getInsertIdField()];
-          result = [];
-          for (let i = startId; i < startId + data.affectedRows; i++) {
-            result.push({ [this.model.rawAttributes[this.model.primaryKeyAttribute].field]: i });
-          }
+        const insertId = data[this.getInsertIdField()];
+        if (insertId !== undefined && insertId !== null && this._hasIdentityPrimaryKey()) {
+          result = [{ [this.model.rawAttributes[this.model.primaryKeyAttribute].field]: Number(insertId) }];
         } else {
-          result = data[this.getInsertIdField()];
+          result = insertId;
         }
       }
     }
 
     if (this.isSelectQuery()) {
+      data = this._restoreKeyCase(data);
+      this.handleJsonSelectQuery(data);
+      this.handleEnumSelectQuery(data);
+      this.handleUuidSelectQuery(data);
+      this.handleSpatialSelectQuery(data);
       return this.handleSelectQuery(data);
     }
     if (this.isShowTablesQuery()) {
       return this.handleShowTablesQuery(data);
     }
     if (this.isDescribeQuery()) {
-      result = {};
-
-      for (const _result of data) {
-        const enumRegex = /^enum/i;
-        result[_result.Field] = {
-          type: enumRegex.test(_result.Type) ? _result.Type.replace(enumRegex, 'ENUM') : _result.Type.toUpperCase(),
-          allowNull: _result.Null === 'YES',
-          defaultValue: _result.Default,
-          primaryKey: _result.Key === 'PRI',
-          autoIncrement: Object.prototype.hasOwnProperty.call(_result, 'Extra') && _result.Extra.toLowerCase() === 'auto_increment',
-          comment: _result.Comment ? _result.Comment : null
-        };
-      }
-      return result;
+      return this.handleDescribeQuery(data);
     }
     if (this.isShowIndexesQuery()) {
       return this.handleShowIndexesQuery(data);
@@ -181,6 +464,9 @@ class Query extends AbstractQuery {
     if (this.isCallQuery()) {
       return data;
     }
+    if (this.isBulkUpdateQuery() && this.options.returning) {
+      return this.handleSelectQuery(this._returnedRows(data));
+    }
     if (this.isBulkUpdateQuery() || this.isBulkDeleteQuery() || this.isUpsertQuery()) {
       return data.affectedRows;
     }
@@ -209,6 +495,203 @@ class Query extends AbstractQuery {
     return result;
   }
 
+  /**
+   * JSON documents are stored in CLOB columns and read as strings, parse those of the JSON attributes.
+   * `IS JSON(LAX)` also accepts documents JSON.parse rejects (unquoted keys, single quotes), those are kept as strings
+   *
+   * @param {Array<Object>} rows selected rows
+   * @returns {Array<Object>}
+   */
+  handleJsonSelectQuery(rows) {
+    if (!this.model || !Array.isArray(rows)) {
+      return rows;
+    }
+
+    const keys = _.keys(_.pickBy(this.model.rawAttributes, attribute => attribute.type instanceof DataTypes.JSON));
+
+    for (const row of rows) {
+      for (const key of keys) {
+        if (typeof row[key] === 'string') {
+          try {
+            row[key] = JSON.parse(row[key]);
+          } catch (err) {
+            debug(`kept the lax JSON of ${key} as a string: ${err.message}`);
+          }
+        }
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * ENUM columns used to be declared as CHAR, trim the blanks padding their values
+   *
+   * @param {Array<Object>} rows selected rows
+   * @returns {Array<Object>}
+   */
+  handleEnumSelectQuery(rows) {
+    if (!this.model || !Array.isArray(rows)) {
+      return rows;
+    }
+
+    const attributes = _.pickBy(this.model.rawAttributes, attribute => attribute.type instanceof DataTypes.ENUM);
+
+    for (const row of rows) {
+      _.forOwn(attributes, (attribute, key) => {
+        if (typeof row[key] === 'string' && !attribute.type.values.includes(row[key])) {
+          row[key] = row[key].replace(/ +$/, '');
+        }
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * UUIDs stored as BINARY(16) are read as buffers, format them back as strings
+   *
+   * @param {Array<Object>} rows selected or returned rows
+   * @returns {Array<Object>}
+   */
+  handleUuidSelectQuery(rows) {
+    if (!this.model || !Array.isArray(rows)) {
+      return rows;
+    }
+
+    const attributes = _.pickBy(this.model.rawAttributes, attribute => this._isBinaryUuid(attribute.type));
+
+    for (const row of rows) {
+      _.forOwn(attributes, (attribute, key) => {
+        for (const name of _.uniq([key, attribute.field])) {
+          if (Buffer.isBuffer(row[name]) && row[name].length === 16) {
+            row[name] = DataTypes.dmdb.UUID.fromBinary(row[name]);
+          }
+        }
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * GEOMETRY and GEOGRAPHY attributes are selected as EWKT, parse them to GeoJSON
+   *
+   * @param {Array<Object>} rows selected rows
+   * @returns {Array<Object>}
+   */
+  handleSpatialSelectQuery(rows) {
+    if (!this.model || !Array.isArray(rows)) {
+      return rows;
+    }
+
+    const keys = _.keys(_.pickBy(this.model.rawAttributes, attribute =>
+      attribute.type instanceof DataTypes.GEOMETRY || attribute.type instanceof DataTypes.GEOGRAPHY
+    ));
+
+    for (const row of rows) {
+      for (const key of keys) {
+        if (typeof row[key] === 'string') {
+          row[key] = DataTypes.dmdb.GEOMETRY.parse(row[key]);
+        }
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Identifiers folded to upper case by the identifierCase policy come back upper cased as row keys,
+   * map them back to the attribute names and aliases the query asked for
+   *
+   * @param {Array<Object>} rows
+   * @returns {Array<Object>}
+   * @private
+   */
+  _restoreKeyCase(rows) {
+    if (this.sequelize.dialect.QueryGenerator._identifierCase() === 'preserve' || !Array.isArray(rows)) {
+      return rows;
+    }
+
+    const keys = {};
+    const addKeys = (model, attributes, prefix) => {
+      if (model) {
+        _.each(model.rawAttributes, (attribute, name) => {
+          keys[`${prefix}${attribute.field || name}`.toUpperCase()] = `${prefix}${attribute.field || name}`;
+          keys[`${prefix}${name}`.toUpperCase()] = `${prefix}${name}`;
+        });
+      }
+      _.each(attributes, attribute => {
+        const alias = Array.isArray(attribute) ? attribute[1] : attribute;
+        if (typeof alias === 'string') {
+          keys[`${prefix}${alias}`.toUpperCase()] = `${prefix}${alias}`;
+        }
+      });
+    };
+    const addIncludes = (includes, prefix) => {
+      _.each(includes, include => {
+        const as = `${prefix}${include.as}.`;
+        addKeys(include.model, include.attributes, as);
+        if (include.through) {
+          addKeys(include.through.model, include.through.attributes, `${as}${include.through.as}.`);
+        }
+        addIncludes(include.include, as);
+      });
+    };
+
+    addKeys(this.model, this.options.attributes, '');
+    addIncludes(this.options.include, '');
+
+    return rows.map(row => _.mapKeys(row, (value, key) => keys[key] || key));
+  }
+
+  handleDescribeQuery(data) {
+    const result = {};
+
+    for (const _result of data) {
+      let type = _result.Type.toUpperCase();
+      if (sizedTypes.has(type) && _result.Length) {
+        type += `(${_result.Length})`;
+      } else if (numericTypes.has(type) && _result.Precision) {
+        type += _result.Scale ? `(${_result.Precision},${_result.Scale})` : `(${_result.Precision})`;
+      } else if (type.startsWith('INTERVAL ') && !type.includes('(')) {
+        type = type.replace(/^INTERVAL (\w+)/, `INTERVAL $1${_result.Precision ? `(${_result.Precision})` : ''}`);
+        if (type.endsWith(' SECOND') && _result.Scale) {
+          type += `(${_result.Scale})`;
+        }
+      } else if (/^TIMESTAMP WITH (LOCAL )?TIME ZONE$/.test(type) && _result.Scale) {
+        type = type.replace('TIMESTAMP', `TIMESTAMP(${_result.Scale})`);
+      }
+
+      let defaultValue = _result.Default;
+      if (typeof defaultValue === 'string') {
+        defaultValue = defaultValue.trim();
+        // string literals come back quoted
+        const literal = defaultValue.match(/^'([\s\S]*)'$/);
+        if (literal) {
+          defaultValue = literal[1].replace(/''/g, "'");
+        }
+      }
+
+      result[_result.Name] = {
+        type,
+        allowNull: _result.IsNull === 'Y',
+        defaultValue: defaultValue === undefined ? null : defaultValue,
+        primaryKey: _result.Constraint === 'PRIMARY KEY',
+        autoIncrement: Number(_result.IsIdentity) === 1,
+        comment: _result.Comment || null
+      };
+
+      // e.g. "status" IN ('active', 'blocked')
+      if (_result.EnumCheck) {
+        result[_result.Name].special = (_result.EnumCheck.match(/'(?:[^']|'')*'/g) || [])
+          .map(value => value.slice(1, -1).replace(/''/g, "'"));
+      }
+    }
+
+    return result;
+  }
+
   logWarnings(results) {
     return this.run('SHOW WARNINGS').then(warningResults => {
       const warningMessage = `dmdb Warnings (${this.connection.uuid || 'default'}): `;
@@ -233,23 +716,21 @@ class Query extends AbstractQuery {
   }
 
   formatError(err) {
-    const errCode = err.errno || err.code;
+    const errCode = err.errCode || err.errno || err.code;
 
     switch (errCode) {
-      case 1062: {
-        const match = err.message.match(/Duplicate entry '([\s\S]*)' for key '?((.|\s)*?)'?$/);
-        let fields = {};
+      // e.g. [-6602]违反唯一性约束[users_email_unique]
+      case -6602: {
+        const constraint = this._parseObjectName(err).name;
+        const uniqueKey = this._findUniqueKey(constraint, err.constraintColumns);
+        const fields = {};
         let message = 'Validation error';
-        const values = match ? match[1].split('-') : undefined;
-        const fieldKey = match ? match[2] : undefined;
-        const fieldVal = match ? match[1] : undefined;
-        const uniqueKey = this.model && this.model.uniqueKeys[fieldKey];
 
         if (uniqueKey) {
           if (uniqueKey.msg) message = uniqueKey.msg;
-          fields = _.zipObject(uniqueKey.fields, values);
-        } else {
-          fields[fieldKey] = fieldVal;
+          for (const field of uniqueKey.fields) {
+            fields[field] = this._instanceValue(field);
+          }
         }
 
         const errors = [];
@@ -264,60 +745,230 @@ class Query extends AbstractQuery {
           ));
         });
 
-        return new sequelizeErrors.UniqueConstraintError({ message, errors, parent: err, fields });
+        return new sequelizeErrors.UniqueConstraintError({
+          message,
+          errors,
+          parent: err,
+          fields,
+          table: this._statementTable(err),
+          index: constraint
+        });
       }
 
-      case 1451:
-      case 1452: {
-        // e.g. CONSTRAINT `example_constraint_name` FOREIGN KEY (`example_id`) REFERENCES `examples` (`id`)
-        const match = err.message.match(/CONSTRAINT ([`"])(.*)\1 FOREIGN KEY \(\1(.*)\1\) REFERENCES \1(.*)\1 \(\1(.*)\1\)/);
-        const quoteChar = match ? match[1] : '`';
-        const fields = match ? match[3].split(new RegExp(`${quoteChar}, *${quoteChar}`)) : undefined;
-
+      // e.g. [-6625]违反引用约束[brothers_person_fk]
+      case -6625:
+      case -6626:
         return new sequelizeErrors.ForeignKeyConstraintError({
-          reltype: String(errCode) === '1451' ? 'parent' : 'child',
-          table: match ? match[4] : undefined,
-          fields,
-          value: fields && fields.length && this.instance && this.instance[fields[0]] || undefined,
-          index: match ? match[2] : undefined,
+          reltype: /^\s*DELETE\b/i.test(err.sql || this.sql) ? 'parent' : 'child',
+          table: this._statementTable(err),
+          fields: err.constraintColumns,
+          index: this._parseObjectName(err).name,
           parent: err
         });
+
+      // e.g. [-6604]违反CHECK约束[users_age_check]
+      case -6604: {
+        const constraint = this._parseObjectName(err).name;
+
+        return new sequelizeErrors.ValidationError(err.message, [
+          new sequelizeErrors.ValidationErrorItem(
+            `${constraint} check constraint violated`,
+            'Validation error', // sequelizeErrors.ValidationErrorItem.Origins.FUNCTION,
+            null,
+            null,
+            this.instance,
+            constraint
+          )
+        ]);
       }
 
+      // e.g. [-6609]违反列[title]非空约束
+      case -6609:
+      case -6610: {
+        const field = this._parseObjectName(err).name;
+        const attribute = this.model && this.model.fieldRawAttributesMap[field];
+        const path = attribute ? attribute.fieldName : field;
+
+        return new sequelizeErrors.ValidationError(err.message, [
+          new sequelizeErrors.ValidationErrorItem(
+            `${this.model ? `${this.model.name}.` : ''}${path} cannot be null`,
+            'notNull Violation', // sequelizeErrors.ValidationErrorItem.Origins.CORE,
+            path,
+            null,
+            this.instance,
+            'is_null'
+          )
+        ]);
+      }
+
+      // lock wait timed out
+      case -6403:
+        return new sequelizeErrors.TimeoutError(err);
+
+      // the transaction was chosen as the victim of a deadlock
+      case -6402:
+        return new sequelizeErrors.DeadlockError(err);
+
+      // the session is gone: communication error, closed connection, server side disconnect
+      case -6001:
+      case -6007:
+      case 6001:
+      case 6060:
+      case 'ECONNRESET':
+      case 'EPIPE':
+        return new sequelizeErrors.ConnectionError(err);
+
       default:
-        console.log('error sql: ', err.sql);
-        if (err.parameters) {
-          console.log('parameters: ', err.parameters);
+        if (/死锁|deadlock/i.test(err.message)) {
+          return new sequelizeErrors.DeadlockError(err);
         }
         return new sequelizeErrors.DatabaseError(err);
     }
   }
 
+  /**
+   * Dmdb names the offending object between square brackets after the error code,
+   * qualified with schema and table for columns, e.g. `[-6609]违反列[SYSDBA.users.title]非空约束`
+   *
+   * @param {Error} err
+   * @returns {{name: string, table: string}}
+   * @private
+   */
+  _parseObjectName(err) {
+    const match = err.message.replace(/^\s*\[-?\d+\]/, '').match(/\[([^\]]+)\]/);
+    const parts = match ? match[1].split('.').map(part => part.replace(/^"|"$/g, '')) : [];
+
+    return {
+      name: parts.pop(),
+      table: parts.pop()
+    };
+  }
+
+  /**
+   * Constraint messages only carry the constraint name, the table is the one the failing statement wrote to
+   *
+   * @param {Error} err
+   * @returns {string}
+   * @private
+   */
+  _statementTable(err) {
+    const match = (err.sql || this.sql || '').match(statementTableRegex);
+    if (match) {
+      return match[2];
+    }
+    return this._parseObjectName(err).table || this.model && this.model.tableName;
+  }
+
+  /**
+   * System named constraints are only unique within a schema: the schema qualifying the constraint
+   * in the message, or the one of the table the failing statement wrote to
+   *
+   * @param {Error} err
+   * @returns {string|undefined} undefined for the current schema of the session
+   * @private
+   */
+  _constraintSchema(err) {
+    const qualifier = this._parseObjectName(err).table;
+    if (qualifier) {
+      return qualifier;
+    }
+    const match = (err.sql || this.sql || '').match(statementTableRegex);
+    return match ? match[1] : undefined;
+  }
+
+  /**
+   * The unique key of the model behind a violated constraint, found by name or, for the system named
+   * constraints of `unique: true` attributes, by the columns read from the dictionary
+   *
+   * @param {string} constraint name of the constraint
+   * @param {Array<string>} [columns] columns of the constraint, see _readConstraintColumns
+   * @returns {Object|undefined} the unique key, with its `fields` and `msg`
+   * @private
+   */
+  _findUniqueKey(constraint, columns) {
+    if (this.model && constraint) {
+      const name = constraint.toLowerCase();
+      const uniqueKey = _.find(this.model.uniqueKeys, (key, keyName) => keyName.toLowerCase() === name)
+        || columns && _.find(this.model.uniqueKeys, key => _.isEqual(_.sortBy(key.fields), _.sortBy(columns)));
+      if (uniqueKey) {
+        return uniqueKey;
+      }
+      const index = _.find(this.model._indexes, item => item.unique && item.name && item.name.toLowerCase() === name);
+      if (index) {
+        return { fields: index.fields.map(field => typeof field === 'string' ? field : field.attribute || field.name) };
+      }
+    }
+    return columns ? { fields: columns } : undefined;
+  }
+
+  /**
+   * DM names the violated constraint but not its columns: read them from the dictionary,
+   * unless the model declares a unique key of that name
+   *
+   * @param {Error} err driver error, the columns are set as its `constraintColumns`
+   * @returns {Promise}
+   * @private
+   */
+  _readConstraintColumns(err) {
+    const errCode = err.errCode || err.errno || err.code;
+    const constraint = this._parseObjectName(err).name;
+
+    if (![-6602, -6625, -6626].includes(errCode) || !constraint || errCode === -6602 && this._findUniqueKey(constraint)) {
+      return Utils.Promise.resolve();
+    }
+
+    const schema = this._constraintSchema(err);
+    const owner = schema ? this.sequelize.escape(schema) : 'SYS_CONTEXT(\'USERENV\', \'CURRENT_SCHEMA\')';
+    const sql = `SELECT COLUMN_NAME AS "columnName" FROM ALL_CONS_COLUMNS WHERE OWNER = ${owner} AND CONSTRAINT_NAME = ${this.sequelize.escape(constraint)} ORDER BY POSITION`;
+
+    return new Utils.Promise(resolve => {
+      this.connection.execute(sql, [], { autoCommit: !this.options.transaction, outFormat: this.outFormat }, (lookupErr, results) => {
+        if (lookupErr) {
+          debug(`reading the columns of ${constraint} failed: ${lookupErr.message}`);
+        } else if (results.rows && results.rows.length) {
+          err.constraintColumns = results.rows.map(row => row.columnName);
+        }
+        resolve();
+      });
+    });
+  }
+
+  _instanceValue(field) {
+    if (!this.instance) {
+      return undefined;
+    }
+    const attribute = this.model.fieldRawAttributesMap[field];
+    return this.instance.dataValues[attribute ? attribute.fieldName : field];
+  }
+
   handleShowIndexesQuery(data) {
     // Group by index name, and collect all fields
     data = data.reduce((acc, item) => {
-      if (!(item.Key_name in acc)) {
-        acc[item.Key_name] = item;
+      if (!(item.name in acc)) {
+        acc[item.name] = item;
         item.fields = [];
       }
 
-      acc[item.Key_name].fields[item.Seq_in_index - 1] = {
-        attribute: item.Column_name,
-        length: item.Sub_part || undefined,
-        order: item.Collation === 'A' ? 'ASC' : undefined
+      const field = {
+        attribute: item.expression ? null : item.columnName,
+        order: item.descend === 'DESC' ? 'DESC' : 'ASC'
       };
-      delete item.column_name;
+      if (item.expression) {
+        // function-based indexes list a hidden column, the indexed expression is what matters
+        field.expression = item.expression;
+      }
+      acc[item.name].fields[item.position - 1] = field;
 
       return acc;
     }, {});
 
     return _.map(data, item => ({
-      primary: item.Key_name === 'PRIMARY',
+      primary: Number(item.primary) === 1,
       fields: item.fields,
-      name: item.Key_name,
-      tableName: item.Table,
-      unique: item.Non_unique !== 1,
-      type: item.Index_type
+      name: item.name,
+      tableName: item.tableName,
+      unique: item.uniqueness === 'UNIQUE',
+      type: item.type
     }));
   }
 }
@@ -325,3 +976,4 @@ class Query extends AbstractQuery {
 module.exports = Query;
 module.exports.Query = Query;
 module.exports.default = Query;
+module.exports.OutBind = OutBind;
@@ -0,0 +1,16 @@
+'use strict';
+
+const DatabaseError = require('./../database-error');
+
+/**
+ * Thrown when a transaction is chosen as the victim of a deadlock
+ */
+class DeadlockError extends DatabaseError {
+  constructor(parent) {
+    super(parent);
+    this.name = 'SequelizeDeadlockError';
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+module.exports = DeadlockError;
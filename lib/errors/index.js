@@ -23,6 +23,7 @@ exports.HostNotFoundError = require('./connection/host-not-found-error');
 exports.HostNotReachableError = require('./connection/host-not-reachable-error');
 exports.InvalidConnectionError = require('./connection/invalid-connection-error');
 
+exports.DeadlockError = require('./database/deadlock-error');
 exports.ExclusionConstraintError = require('./database/exclusion-constraint-error');
 exports.ForeignKeyConstraintError = require('./database/foreign-key-constraint-error');
 exports.TimeoutError = require('./database/timeout-error');
@@ -16,6 +16,8 @@ class UniqueConstraintError extends ValidationError {
     this.name = 'SequelizeUniqueConstraintError';
     this.errors = options.errors;
     this.fields = options.fields;
+    this.table = options.table;
+    this.index = options.index;
     this.parent = options.parent;
     this.original = options.parent;
     this.sql = options.parent.sql;
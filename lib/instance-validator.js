@@ -1,6 +1,7 @@
 'use strict';
 
 const _ = require('lodash');
+const { Readable } = require('stream');
 const Utils = require('./utils');
 const sequelizeError = require('./errors');
 const Promise = require('./promise');
@@ -354,7 +355,10 @@ class InstanceValidator {
     }
 
     if (rawAttribute.type instanceof DataTypes.STRING || rawAttribute.type instanceof DataTypes.TEXT || rawAttribute.type instanceof DataTypes.CITEXT) {
-      if (Array.isArray(value) || _.isObject(value) && !(value instanceof Utils.SequelizeMethod) && !Buffer.isBuffer(value)) {
+      const lobStream = rawAttribute.type instanceof DataTypes.TEXT && value instanceof Readable
+        && this.modelInstance.sequelize.dialect.supports.lobStreams;
+
+      if (Array.isArray(value) || _.isObject(value) && !(value instanceof Utils.SequelizeMethod) && !Buffer.isBuffer(value) && !lobStream) {
         this.errors.push(new sequelizeError.ValidationErrorItem(
           `${field} cannot be an array or an object`,
           'string violation', // sequelizeError.ValidationErrorItem.Origins.CORE,
@@ -878,7 +878,10 @@ class Model {
    * @param {string}                  [attributes.column.field=null] If set, sequelize will map the attribute name to a different name in the database
    * @param {boolean}                 [attributes.column.autoIncrement=false] If true, this column will be set to auto increment
    * @param {boolean}                 [attributes.column.autoIncrementIdentity=false] If true, combined with autoIncrement=true, will use Postgres `GENERATED BY DEFAULT AS IDENTITY` instead of `SERIAL`. Postgres 10+ only.
+   * @param {number}                  [attributes.column.autoIncrementSeed=1] The first value generated for an auto increment column. DMDB only.
+   * @param {number}                  [attributes.column.autoIncrementStep=1] The increment between generated values of an auto increment column. DMDB only.
    * @param {string}                  [attributes.column.comment=null] Comment for this column
+   * @param {boolean}                 [attributes.column.streamLob=false] If true, BLOB and TEXT values of this column are returned as `Readable` streams instead of being read into memory. DMDB only.
    * @param {string|Model}            [attributes.column.references=null] An object with reference configurations
    * @param {string|Model}            [attributes.column.references.model] If this column references another table, provide it here as a Model, or a string
    * @param {string}                  [attributes.column.references.key='id'] The column of the foreign table that this column references
@@ -917,7 +920,8 @@ class Model {
    * @param {string}                  [options.charset] Specify charset for model's table
    * @param {string}                  [options.comment] Specify comment for model's table
    * @param {string}                  [options.collate] Specify collation for model's table
-   * @param {string}                  [options.initialAutoIncrement] Set the initial AUTO_INCREMENT value for the table in MySQL.
+   * @param {string}                  [options.initialAutoIncrement] Set the initial AUTO_INCREMENT value for the table in MySQL, or the IDENTITY seed in DMDB.
+   * @param {Object}                  [options.checks] An object of table level CHECK constraints in DMDB, keyed by constraint name. Each value is a where condition on the table columns, as in `queryInterface.addConstraint`.
    * @param {Object}                  [options.hooks] An object of hook function that are called before and after certain lifecycle events. The possible hooks are: beforeValidate, afterValidate, validationFailed, beforeBulkCreate, beforeBulkDestroy, beforeBulkUpdate, beforeCreate, beforeDestroy, beforeUpdate, afterCreate, beforeSave, afterDestroy, afterUpdate, afterBulkCreate, afterSave, afterBulkDestroy and afterBulkUpdate. See Hooks for more information about hook functions and their signatures. Each property can either be a function, or an array of functions.
    * @param {Object}                  [options.validate] An object of model wide validations. Validations have access to all model values via `this`. If the validator function takes an argument, it is assumed to be async, and is called with a callback that accepts an optional error.
    *
@@ -1667,8 +1671,11 @@ class Model {
    * @param  {number}                                                    [options.offset] Offset for result
    * @param  {Transaction}                                               [options.transaction] Transaction to run query under
    * @param  {string|Object}                                             [options.lock] Lock the selected rows. Possible options are transaction.LOCK.UPDATE and transaction.LOCK.SHARE. Postgres also supports transaction.LOCK.KEY_SHARE, transaction.LOCK.NO_KEY_UPDATE and specific model locks with joins. See [transaction.LOCK for an example](transaction#lock)
-   * @param  {boolean}                                                   [options.skipLocked] Skip locked rows. Only supported in Postgres.
+   * @param  {boolean}                                                   [options.skipLocked] Skip locked rows. Only supported in Postgres and DMDB.
+   * @param  {boolean}                                                   [options.nowait] Fail instead of waiting for rows locked by other transactions. Only supported in DMDB.
+   * @param  {number}                                                    [options.waitSeconds] Seconds to wait for rows locked by other transactions. Only supported in DMDB.
    * @param  {boolean}                                                   [options.raw] Return raw result. See sequelize.query for more information.
+   * @param  {boolean|Array<string>}                                     [options.streamLobs] Return BLOB and TEXT values as `Readable` streams, either for every column or for the listed attributes. `false` reads them all into memory, regardless of `streamLob` on the attributes. DMDB only.
    * @param  {Function}                                                  [options.logging=false] A function that gets executed while running the query to log the sql.
    * @param  {boolean}                                                   [options.benchmark=false] Pass query execution time in milliseconds as second argument to logging function (options.logging).
    * @param  {Object}                                                    [options.having] Having options
@@ -2531,6 +2538,7 @@ class Model {
    * @param  {boolean}      [options.benchmark=false]        Pass query execution time in milliseconds as second argument to logging function (options.logging).
    * @param  {boolean|Array} [options.returning=false]       If true, append RETURNING * to get back all values; if an array of column names, append RETURNING <columns> to get back specific columns (Postgres only)
    * @param  {string}       [options.searchPath=DEFAULT]     An optional parameter to specify the schema search_path (Postgres only)
+   * @param  {number}       [options.batchSize=1000]         Number of rows bound to each execution of the parameterised INSERT (DMDB only). Rows rejected by the database are reported through an AggregateError of BulkRecordErrors once all rows ran
    *
    * @returns {Promise<Array<Model>>}
    */
@@ -2724,7 +2732,7 @@ class Model {
                 for (const key in result) {
                   if (!instance || key === model.primaryKeyAttribute &&
                     instance.get(model.primaryKeyAttribute) &&
-                    ['mysql', 'mariadb', 'sqlite'].includes(dialect)) {
+                    ['mysql', 'mariadb', 'sqlite', 'dmdb'].includes(dialect)) {
                     // The query.js for these DBs is blind, it autoincrements the
                     // primarykey value, even if it was set manually. Also, it can
                     // return more results than instances, bug?.
@@ -2741,6 +2749,14 @@ class Model {
               });
             }
             return results;
+          }).catch(Promise.AggregateError, errors => {
+            // the per record errors of the insert point at the inserted values, hand back the instances instead
+            errors.forEach(error => {
+              if (error instanceof sequelizeErrors.BulkRecordError && records.includes(error.record)) {
+                error.record = instances[records.indexOf(error.record)];
+              }
+            });
+            throw errors;
           });
         });
       }).then(() => {
@@ -4124,6 +4140,48 @@ class Model {
       });
   }
 
+  /**
+   * Fetch a single BLOB or TEXT attribute of this instance from the DB, without loading it into the instance.
+   * This lets you leave large documents out of `attributes` and read them only when needed.
+   *
+   * On dialects that support it (DMDB) the value is returned as a `Readable` stream, which reads through the
+   * connection that ran the query. Pass a transaction to keep that connection reserved until the stream is consumed.
+   *
+   * @param {string} key The name of the attribute
+   * @param {Object} [options] Options that are passed on to `Model.findOne`
+   * @param {Transaction} [options.transaction] Transaction to run query under
+   * @param {Function} [options.logging=false] A function that gets executed while running the query to log the sql.
+   *
+   * @returns {Promise<stream.Readable|Buffer|string|null>}
+   */
+  getLob(key, options) {
+    if (!Object.prototype.hasOwnProperty.call(this.constructor.rawAttributes, key)) {
+      return Promise.reject(new Error(`${key} is not an attribute of ${this.constructor.name}`));
+    }
+    const type = this.constructor.rawAttributes[key].type;
+    if (!(type instanceof DataTypes.BLOB || type instanceof DataTypes.TEXT)) {
+      return Promise.reject(new Error(`${key} of ${this.constructor.name} is not a BLOB or TEXT attribute`));
+    }
+
+    options = Utils.defaults({}, options, {
+      where: this.where()
+    });
+    options.attributes = [key];
+    options.raw = true;
+    if (this.sequelize.dialect.supports.lobStreams) {
+      options.streamLobs = [key];
+    }
+
+    return this.constructor.findOne(options).then(result => {
+      if (!result) {
+        throw new sequelizeErrors.InstanceError(
+          'Instance could not be read because it does not exist anymore (find call returned null)'
+        );
+      }
+      return result[key];
+    });
+  }
+
   /**
   * Validate the attributes of this instance according to validation rules set in the model definition.
   *
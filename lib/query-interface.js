@@ -8,6 +8,7 @@ const SQLiteQueryInterface = require('./dialects/sqlite/query-interface');
 const MSSQLQueryInterface = require('./dialects/mssql/query-interface');
 const MySQLQueryInterface = require('./dialects/mysql/query-interface');
 const PostgresQueryInterface = require('./dialects/postgres/query-interface');
+const DmdbQueryInterface = require('./dialects/dmdb/query-interface');
 const Transaction = require('./transaction');
 const Promise = require('./promise');
 const QueryTypes = require('./query-types');
@@ -233,6 +234,11 @@ class QueryInterface {
     attributes = this.QueryGenerator.attributesToSQL(attributes, { table: tableName, context: 'createTable' });
     sql = this.QueryGenerator.createTableQuery(tableName, attributes, options);
 
+    if (this.sequelize.options.dialect === 'dmdb') {
+      // dmdb sets the comments of the table and its columns with statements of their own
+      return promise.then(() => DmdbQueryInterface.runStatements(this, sql, options));
+    }
+
     return promise.then(() => this.sequelize.query(sql, options));
   }
 
@@ -516,6 +522,12 @@ class QueryInterface {
 
     options = options || {};
     attribute = this.sequelize.normalizeAttribute(attribute);
+
+    if (this.sequelize.options.dialect === 'dmdb') {
+      // dmdb sets the comment of the column with a statement of its own
+      return DmdbQueryInterface.runStatements(this, this.QueryGenerator.addColumnQuery(table, key, attribute), options);
+    }
+
     return this.sequelize.query(this.QueryGenerator.addColumnQuery(table, key, attribute), options);
   }
 
@@ -541,6 +553,9 @@ class QueryInterface {
       case 'mariadb':
         // mysql/mariadb need special treatment as it cannot drop a column with a foreign key constraint
         return MySQLQueryInterface.removeColumn(this, tableName, attributeName, options);
+      case 'dmdb':
+        // dmdb needs special treatment as it cannot drop a column with a foreign key constraint
+        return DmdbQueryInterface.removeColumn(this, tableName, attributeName, options);
       default:
         return this.sequelize.query(this.QueryGenerator.removeColumnQuery(tableName, attributeName), options);
     }
@@ -572,6 +587,10 @@ class QueryInterface {
       // sqlite needs some special treatment as it cannot change a column
       return SQLiteQueryInterface.changeColumn(this, tableName, attributes, options);
     }
+    if (this.sequelize.options.dialect === 'dmdb') {
+      // dmdb keeps the values of ENUM columns in CHECK constraints that have to be replaced
+      return DmdbQueryInterface.changeColumn(this, tableName, attributes, options);
+    }
     const query = this.QueryGenerator.attributesToSQL(attributes, {
       context: 'changeColumn',
       table: tableName
@@ -873,6 +892,8 @@ class QueryInterface {
         return MySQLQueryInterface.removeConstraint(this, tableName, constraintName, options);
       case 'sqlite':
         return SQLiteQueryInterface.removeConstraint(this, tableName, constraintName, options);
+      case 'dmdb':
+        return DmdbQueryInterface.removeConstraint(this, tableName, constraintName, options);
       default:
         const sql = this.QueryGenerator.removeConstraintQuery(tableName, constraintName);
         return this.sequelize.query(sql, options);
@@ -999,6 +1020,11 @@ class QueryInterface {
     options = _.clone(options) || {};
     options.type = QueryTypes.INSERT;
 
+    if (this.sequelize.options.dialect === 'dmdb') {
+      // dmdb executes one parameterised INSERT with array binding instead of a multi-row statement
+      return DmdbQueryInterface.bulkInsert(this, tableName, records, options, attributes);
+    }
+
     return this.sequelize.query(
       this.QueryGenerator.bulkInsertQuery(tableName, records, options, attributes),
       options
@@ -1329,6 +1355,28 @@ class QueryInterface {
     return Promise.resolve();
   }
 
+  /**
+   * Lock a table until the end of a transaction, DMDB only
+   *
+   * @param {string|Object} tableName Table name to lock
+   * @param {string} mode Lock mode, e.g. `'ROW EXCLUSIVE'` or `'EXCLUSIVE'`
+   * @param {Object} options Query options
+   * @param {Transaction} options.transaction The transaction holding the lock
+   * @param {boolean} [options.nowait] Fail instead of waiting for conflicting locks
+   *
+   * @returns {Promise}
+   */
+  lockTable(tableName, mode, options) {
+    options = options || {};
+
+    if (!options.transaction) {
+      return Promise.reject(new Error('Unable to lock a table without transaction object!'));
+    }
+
+    return Promise.try(() => this.QueryGenerator.lockTableQuery(tableName, mode, options))
+      .then(sql => this.sequelize.query(sql, Object.assign({}, options, { type: QueryTypes.RAW })));
+  }
+
   // Helper methods useful for querying
 
   /**
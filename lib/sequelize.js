@@ -137,6 +137,8 @@ class Sequelize {
    * @param {string}   [options.dialectModule=null] If specified, use this dialect library. For example, if you want to use pg.js instead of pg when connecting to a pg database, you should specify 'require("pg.js")' here
    * @param {string}   [options.dialectModulePath=null] If specified, load the dialect library from this path. For example, if you want to use pg.js instead of pg when connecting to a pg database, you should specify '/path/to/pg.js' here
    * @param {object}   [options.dialectOptions] An object of additional options, which are passed directly to the connection library
+   * @param {string}   [options.dialectOptions.identifierCase='preserve'] DMDB only. `preserve` double quotes identifiers as written, `upper` double quotes them upper cased to match tables created without quotes, `none` leaves them unquoted whenever possible. Result rows are keyed by attribute names either way
+   * @param {string}   [options.dialectOptions.pagination='limit'] DMDB only. `limit` paginates with `LIMIT n OFFSET m`, `fetch` with `OFFSET m ROWS FETCH NEXT n ROWS ONLY` and `top` with `SELECT TOP m, n` for compatibility modes without LIMIT
    * @param {string}   [options.storage] Only used by sqlite. Defaults to ':memory:'
    * @param {string}   [options.protocol='tcp'] The protocol of the relational database.
    * @param {object}   [options.define={}] Default options for model definitions. See {@link Model.init}.
@@ -159,7 +161,7 @@ class Sequelize {
    * @param {number}   [options.pool.acquire=60000] The maximum time, in milliseconds, that pool will try to get connection before throwing error
    * @param {number}   [options.pool.evict=1000] The time interval, in milliseconds, after which sequelize-pool will remove idle connections.
    * @param {Function} [options.pool.validate] A function that validates a connection. Called with client. The default function checks that client is an object, and that its state is not disconnected
-   * @param {boolean}  [options.quoteIdentifiers=true] Set to `false` to make table names and attributes case-insensitive on Postgres and skip double quoting of them.  WARNING: Setting this to false may expose vulnerabilities and is not recommended!
+   * @param {boolean}  [options.quoteIdentifiers=true] Set to `false` to make table names and attributes case-insensitive on Postgres and DMDB and skip double quoting of them.  WARNING: Setting this to false may expose vulnerabilities and is not recommended!
    * @param {string}   [options.transactionType='DEFERRED'] Set the default transaction type. See `Sequelize.Transaction.TYPES` for possible options. Sqlite only.
    * @param {string}   [options.isolationLevel] Set the default transaction isolation level. See `Sequelize.Transaction.ISOLATION_LEVELS` for possible options.
    * @param {object}   [options.retry] Set of flags that control when a query is automatically retried.
@@ -1099,6 +1101,10 @@ class Sequelize {
    * @param {string}   [options.isolationLevel] See `Sequelize.Transaction.ISOLATION_LEVELS` for possible options
    * @param {string}   [options.deferrable] Sets the constraints to be deferred or immediately checked. See `Sequelize.Deferrable`. PostgreSQL Only
    * @param {Function} [options.logging=false] A function that gets executed while running the query to log the sql.
+   * @param {Object}   [options.retry] Run the callback again in a new transaction when it fails. Managed transactions only. A nested transaction is not retried once its parent has finished, e.g. rolled back after a deadlock
+   * @param {number}   [options.retry.max=3] How many times the callback is run at most
+   * @param {number|Function} [options.retry.backoff=0] Milliseconds to wait before the next attempt, or a function of the number of the failed attempt and the error returning them
+   * @param {Array}    [options.retry.match] Only retry when the error is an instance of one of these classes, or when its name or message matches one of these strings or regular expressions. Defaults to `[Sequelize.DeadlockError, Sequelize.TimeoutError]`
    * @param {Function} [autoCallback] The callback is called with the transaction object, and should return a promise. If the promise is resolved, the transaction commits; if the promise rejects, the transaction rolls back
    *
    * @returns {Promise}
@@ -1109,12 +1115,17 @@ class Sequelize {
       options = undefined;
     }
 
+    const retryOptions = options && options.retry;
+    if (retryOptions) {
+      options = _.omit(options, 'retry');
+    }
+
     const transaction = new Transaction(this, options);
 
     if (!autoCallback) return transaction.prepareEnvironment(false).return(transaction);
 
     // autoCallback provided
-    return Sequelize._clsRun(() => {
+    const run = transaction => Sequelize._clsRun(() => {
       return transaction.prepareEnvironment()
         .then(() => autoCallback(transaction))
         .tap(() => transaction.commit())
@@ -1126,6 +1137,28 @@ class Sequelize {
           }).throw(err);
         });
     });
+
+    if (!retryOptions) return run(transaction);
+
+    const retry = Object.assign({
+      max: 3,
+      backoff: 0,
+      match: [sequelizeErrors.DeadlockError, sequelizeErrors.TimeoutError]
+    }, retryOptions);
+    const matches = err => retry.match.some(match => {
+      if (typeof match === 'function') return err instanceof match;
+      if (match instanceof RegExp) return match.test(err.name) || match.test(err.message);
+      return err.name === match || String(err.message).includes(match);
+    });
+    const attempt = (transaction, count) => run(transaction).catch(err => {
+      // a deadlock rolls back the outermost transaction, only that one can run again
+      if (count >= retry.max || !matches(err) || transaction.parent && transaction.parent.finished) throw err;
+
+      const backoff = typeof retry.backoff === 'function' ? retry.backoff(count, err) : retry.backoff;
+      return Promise.delay(backoff).then(() => attempt(new Transaction(this, options), count + 1));
+    });
+
+    return attempt(transaction, 1);
   }
 
   /**
@@ -1246,7 +1279,8 @@ class Sequelize {
       if (typeof attribute.defaultValue === 'function' && (
         attribute.defaultValue === DataTypes.NOW ||
           attribute.defaultValue === DataTypes.UUIDV1 ||
-          attribute.defaultValue === DataTypes.UUIDV4
+          attribute.defaultValue === DataTypes.UUIDV4 ||
+          attribute.defaultValue === DataTypes.GUID
       )) {
         attribute.defaultValue = new attribute.defaultValue();
       }
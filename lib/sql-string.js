@@ -28,7 +28,7 @@ function escape(val, timeZone, dialect, format) {
     // SQLite doesn't have true/false support. MySQL aliases true/false to 1/0
     // for us. Postgres actually has a boolean type with true/false literals,
     // but sequelize doesn't use it yet.
-      if (dialect === 'sqlite' || dialect === 'mssql') {
+      if (dialect === 'sqlite' || dialect === 'mssql' || dialect === 'dmdb') {
         return +!!val;
       }
       return (!!val).toString();
@@ -65,7 +65,7 @@ function escape(val, timeZone, dialect, format) {
     throw new Error(`Invalid value ${logger.inspect(val)}`);
   }
 
-  if (dialect === 'postgres' || dialect === 'sqlite' || dialect === 'mssql') {
+  if (dialect === 'postgres' || dialect === 'sqlite' || dialect === 'mssql' || dialect === 'dmdb') {
     // http://www.postgresql.org/docs/8.2/static/sql-syntax-lexical.html#SQL-SYNTAX-STRINGS
     // http://stackoverflow.com/q/603572/130598
     val = val.replace(/'/g, "''");
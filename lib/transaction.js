@@ -69,11 +69,16 @@ class Transaction {
           return this.cleanup();
         }
         return null;
-      }).tap(
-        () => Promise.each(
+      }).tap(() => {
+        if (this.parent && this.sequelize.options.dialect === 'dmdb') {
+          // a DM savepoint is only committed along with the outermost transaction
+          this._afterCommitHooks.forEach(hook => this.parent.afterCommit(() => hook.apply(this, [this])));
+          return null;
+        }
+        return Promise.each(
           this._afterCommitHooks,
-          hook => Promise.resolve(hook.apply(this, [this])))
-      );
+          hook => Promise.resolve(hook.apply(this, [this])));
+      });
   }
 
   /**
@@ -83,6 +88,10 @@ class Transaction {
    */
   rollback() {
     if (this.finished) {
+      if (this.aborted) {
+        // the work is already undone, see _abort
+        return Promise.resolve();
+      }
       return Promise.reject(new Error(`Transaction cannot be rolled back because it has been finished with state: ${this.finished}`));
     }
 
@@ -104,6 +113,30 @@ class Transaction {
       });
   }
 
+  /**
+   * Roll back the outermost transaction after an error the database cannot go on from, such as a deadlock.
+   * Rolling back to a savepoint would keep the locks of its parents. The outermost transaction and all its
+   * savepoints are finished, a later `rollback()` of any of them resolves.
+   *
+   * @returns {Promise}
+   * @private
+   */
+  _abort() {
+    let outermost = this;
+    while (outermost.parent) {
+      outermost = outermost.parent;
+    }
+
+    const finish = transaction => {
+      transaction.finished = 'rollback';
+      transaction.aborted = true;
+      transaction.savepoints.forEach(finish);
+    };
+
+    return Promise.try(() => outermost.finished ? null : outermost.rollback())
+      .finally(() => finish(outermost));
+  }
+
   prepareEnvironment(useCLS) {
     let connectionPromise;
 
@@ -181,7 +214,8 @@ class Transaction {
   }
 
   /**
-   * A hook that is run after a transaction is committed
+   * A hook that is run after a transaction is committed. On DMDB, the hooks of a savepoint are run when its
+   * outermost transaction is committed.
    *
    * @param {Function} fn   A callback function that is called with the committed transaction
    * @name afterCommit
@@ -847,66 +847,68 @@ if (current.dialect.supports.transactions) {
           });
         }
 
-        it('supports for share', function() {
-          const User = this.sequelize.define('user', {
-              username: Support.Sequelize.STRING,
-              awesome: Support.Sequelize.BOOLEAN
-            }),
-            t1Spy = sinon.spy(),
-            t2FindSpy = sinon.spy(),
-            t2UpdateSpy = sinon.spy();
+        if (current.dialect.supports.forShare) {
+          it('supports for share', function() {
+            const User = this.sequelize.define('user', {
+                username: Support.Sequelize.STRING,
+                awesome: Support.Sequelize.BOOLEAN
+              }),
+              t1Spy = sinon.spy(),
+              t2FindSpy = sinon.spy(),
+              t2UpdateSpy = sinon.spy();
 
-          return this.sequelize.sync({ force: true }).then(() => {
-            return User.create({ username: 'jan' });
-          }).then(() => {
-            return this.sequelize.transaction().then(t1 => {
-              return User.findOne({
-                where: {
-                  username: 'jan'
-                },
-                lock: t1.LOCK.SHARE,
-                transaction: t1
-              }).then(t1Jan => {
-                return this.sequelize.transaction({
-                  isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED
-                }).then(t2 => {
-                  return Promise.join(
-                    User.findOne({
-                      where: {
-                        username: 'jan'
-                      },
-                      transaction: t2
-                    }).then(t2Jan => {
-                      t2FindSpy();
-                      return t2Jan.update({
-                        awesome: false
-                      }, {
+            return this.sequelize.sync({ force: true }).then(() => {
+              return User.create({ username: 'jan' });
+            }).then(() => {
+              return this.sequelize.transaction().then(t1 => {
+                return User.findOne({
+                  where: {
+                    username: 'jan'
+                  },
+                  lock: t1.LOCK.SHARE,
+                  transaction: t1
+                }).then(t1Jan => {
+                  return this.sequelize.transaction({
+                    isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED
+                  }).then(t2 => {
+                    return Promise.join(
+                      User.findOne({
+                        where: {
+                          username: 'jan'
+                        },
                         transaction: t2
-                      }).then(() => {
-                        t2UpdateSpy();
-                        return t2.commit().then(() => {
-                          expect(t2FindSpy).to.have.been.calledBefore(t1Spy); // The find call should have returned
-                          expect(t2UpdateSpy).to.have.been.calledAfter(t1Spy); // But the update call should not happen before the first transaction has committed
+                      }).then(t2Jan => {
+                        t2FindSpy();
+                        return t2Jan.update({
+                          awesome: false
+                        }, {
+                          transaction: t2
+                        }).then(() => {
+                          t2UpdateSpy();
+                          return t2.commit().then(() => {
+                            expect(t2FindSpy).to.have.been.calledBefore(t1Spy); // The find call should have returned
+                            expect(t2UpdateSpy).to.have.been.calledAfter(t1Spy); // But the update call should not happen before the first transaction has committed
+                          });
                         });
-                      });
-                    }),
+                      }),
 
-                    t1Jan.update({
-                      awesome: true
-                    }, {
-                      transaction: t1
-                    }).then(() => {
-                      return Promise.delay(2000).then(() => {
-                        t1Spy();
-                        return t1.commit();
-                      });
-                    })
-                  );
+                      t1Jan.update({
+                        awesome: true
+                      }, {
+                        transaction: t1
+                      }).then(() => {
+                        return Promise.delay(2000).then(() => {
+                          t1Spy();
+                          return t1.commit();
+                        });
+                      })
+                    );
+                  });
                 });
               });
             });
           });
-        });
+        }
       });
     }
   });
@@ -11,5 +11,25 @@ describe('QuoteIdentifier', () => {
       Error);
   });
 
-});
+  describe('dmdb', () => {
+    const quote = (identifier, options) => QuoteHelper.quoteIdentifier('dmdb', identifier, options);
+
+    it('preserves the case inside double quotes by default', () => {
+      expect(quote('firstName')).to.equal('"firstName"');
+      expect(quote('"firstName"')).to.equal('"firstName"');
+    });
+
+    it('upper cases quoted identifiers', () => {
+      expect(quote('firstName', { identifierCase: 'upper' })).to.equal('"FIRSTNAME"');
+      expect(quote('Projects.id', { identifierCase: 'upper' })).to.equal('"PROJECTS.ID"');
+    });
 
+    it('leaves identifiers unquoted unless DM requires quotes', () => {
+      expect(quote('firstName', { identifierCase: 'none' })).to.equal('FIRSTNAME');
+      expect(quote('user', { identifierCase: 'none' })).to.equal('"USER"');
+      expect(quote('Projects.id', { identifierCase: 'none' })).to.equal('"PROJECTS.ID"');
+      expect(quote('firstName', { identifierCase: 'none', force: true })).to.equal('"FIRSTNAME"');
+      expect(quote('firstName', { quoteIdentifiers: false })).to.equal('FIRSTNAME');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+const chai = require('chai'),
+  expect = chai.expect,
+  Sequelize = require('../../../../index'),
+  Support = require('../../support'),
+  dialect = Support.getTestDialect(),
+  Promise = Sequelize.Promise,
+  sinon = require('sinon');
+
+if (dialect === 'dmdb') {
+  describe('[DMDB Specific] Connection Manager', () => {
+    beforeEach(function() {
+      const driver = this.driver = {
+        CLOB: 2017,
+        OUT_FORMAT_OBJECT: 4002,
+        open: 0,
+        createPool: sinon.spy(),
+        getConnection: sinon.spy(attributes => {
+          driver.open++;
+          const connection = {
+            attributes,
+            closed: false,
+            rollback: sinon.spy(callback => callback()),
+            close(callback) {
+              connection.closed = true;
+              driver.open--;
+              callback();
+            }
+          };
+          return Promise.resolve(connection);
+        })
+      };
+
+      this.sequelize = new Sequelize('sequelize_test', 'SYSDBA', 'secret', {
+        dialect: 'dmdb',
+        dialectModule: driver,
+        databaseVersion: '8.1.0',
+        host: 'localhost',
+        pool: { min: 0, max: 2, acquire: 500 }
+      });
+      this.connectionManager = this.sequelize.connectionManager;
+    });
+
+    afterEach(function() {
+      return this.sequelize.close();
+    });
+
+    it('opens physical connections without creating driver pools', function() {
+      return this.connectionManager.getConnection().then(connection => {
+        expect(this.driver.createPool).not.to.have.been.called;
+        expect(this.driver.open).to.equal(1);
+        expect(connection.attributes).to.include({
+          connectString: 'localhost:5236',
+          user: 'SYSDBA',
+          password: 'secret',
+          schema: 'sequelize_test'
+        });
+        expect(connection.attributes).not.to.have.property('poolMax');
+        return this.connectionManager.releaseConnection(connection);
+      });
+    });
+
+    it('sets the session time zone on login', function() {
+      const sequelize = new Sequelize('sequelize_test', 'SYSDBA', 'secret', {
+        dialect: 'dmdb',
+        dialectModule: this.driver,
+        databaseVersion: '8.1.0',
+        timezone: '-05:30'
+      });
+
+      return sequelize.connectionManager.getConnection().then(connection => {
+        expect(connection.attributes.localTimezone).to.equal(-330);
+        expect(this.connectionManager._timezoneOffset('Asia/Shanghai')).to.equal(480);
+        return sequelize.connectionManager.releaseConnection(connection);
+      }).then(() => sequelize.close());
+    });
+
+    it('replaces pooled connections once the offset of a named time zone changes', function() {
+      const sequelize = new Sequelize('sequelize_test', 'SYSDBA', 'secret', {
+        dialect: 'dmdb',
+        dialectModule: this.driver,
+        databaseVersion: '8.1.0',
+        timezone: 'Europe/Berlin',
+        pool: { max: 1 }
+      });
+      const connectionManager = sequelize.connectionManager;
+      const offset = sinon.stub(connectionManager, '_timezoneOffset').returns(60);
+
+      return connectionManager.getConnection().then(winter => {
+        expect(winter.attributes.localTimezone).to.equal(60);
+        return connectionManager.releaseConnection(winter).then(() => {
+          offset.returns(120);
+          return connectionManager.getConnection();
+        }).then(summer => {
+          expect(summer).not.to.equal(winter);
+          expect(winter.closed).to.be.true;
+          expect(summer.attributes.localTimezone).to.equal(120);
+          expect(connectionManager.validate(summer)).to.be.true;
+          return connectionManager.releaseConnection(summer);
+        });
+      }).then(() => sequelize.close());
+    });
+
+    it('keeps the default time zone of the server with keepDefaultTimezone', function() {
+      this.sequelize.config.keepDefaultTimezone = true;
+
+      return this.connectionManager.getConnection().then(connection => {
+        expect(connection.attributes).not.to.have.property('localTimezone');
+        return this.connectionManager.releaseConnection(connection);
+      });
+    });
+
+    it('reuses released connections and honours pool.max', function() {
+      const { connectionManager } = this;
+
+      return Promise.all([connectionManager.getConnection(), connectionManager.getConnection()])
+        .then(([first, second]) => {
+          expect(this.driver.open).to.equal(2);
+
+          const third = connectionManager.getConnection();
+          return connectionManager.releaseConnection(first)
+            .then(() => third)
+            .then(connection => {
+              expect(connection).to.equal(first);
+              expect(this.driver.getConnection).to.have.been.calledTwice;
+              return Promise.all([
+                connectionManager.releaseConnection(connection),
+                connectionManager.releaseConnection(second)
+              ]);
+            });
+        });
+    });
+
+    it('rolls back the work of a transaction left open before reusing the connection', function() {
+      const { connectionManager } = this;
+
+      return connectionManager.getConnection().then(connection => {
+        connection.pendingTransaction = true;
+        return connectionManager.releaseConnection(connection)
+          .then(() => connectionManager.getConnection())
+          .then(reused => {
+            expect(reused).to.equal(connection);
+            expect(connection.rollback).to.have.been.calledOnce;
+            expect(connection.pendingTransaction).to.equal(false);
+            return connectionManager.releaseConnection(reused);
+          })
+          .then(() => {
+            expect(connection.rollback).to.have.been.calledOnce;
+          });
+      });
+    });
+
+    it('closes every physical connection on sequelize.close()', function() {
+      const { connectionManager } = this;
+
+      return Promise.all([connectionManager.getConnection(), connectionManager.getConnection()])
+        .then(connections => Promise.all(connections.map(connection => connectionManager.releaseConnection(connection))))
+        .then(() => this.sequelize.close())
+        // the pool destroys its connections without waiting for them to close
+        .delay(10)
+        .then(() => {
+          expect(this.driver.open).to.equal(0);
+        });
+    });
+  });
+}
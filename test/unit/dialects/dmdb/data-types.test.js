@@ -0,0 +1,159 @@
+'use strict';
+
+const _ = require('lodash'),
+  chai = require('chai'),
+  expect = chai.expect,
+  Support = require('../../support'),
+  dialect = Support.getTestDialect(),
+  current = Support.sequelize,
+  Sequelize = Support.Sequelize,
+  BaseTypes = require('../../../../lib/data-types'),
+  DataTypes = BaseTypes.dmdb,
+  Query = require('../../../../lib/dialects/dmdb/query');
+
+if (dialect === 'dmdb') {
+  describe('[DMDB Specific] DataTypes', () => {
+    const toSql = dataType => current.normalizeDataType(dataType).toSql();
+
+    it('declares DM column types', () => {
+      expect(toSql(BaseTypes.NUMBER)).to.equal('NUMBER');
+      expect(toSql(BaseTypes.NUMBER(10))).to.equal('NUMBER(10)');
+      expect(toSql(BaseTypes.NUMBER(10, 2))).to.equal('NUMBER(10,2)');
+      expect(toSql(BaseTypes.VARCHAR2(100))).to.equal('VARCHAR2(100)');
+      expect(toSql(BaseTypes.NVARCHAR)).to.equal('NVARCHAR(255)');
+      expect(toSql(BaseTypes.CLOB)).to.equal('CLOB');
+      expect(toSql(BaseTypes.IMAGE)).to.equal('IMAGE');
+      expect(toSql(BaseTypes.BINARY(16))).to.equal('BINARY(16)');
+      expect(toSql(BaseTypes.VARBINARY(256))).to.equal('VARBINARY(256)');
+      expect(toSql(BaseTypes.INTERVAL_YEAR_TO_MONTH)).to.equal('INTERVAL YEAR TO MONTH');
+      expect(toSql(BaseTypes.INTERVAL_DAY_TO_SECOND(2, 6))).to.equal('INTERVAL DAY(2) TO SECOND(6)');
+      expect(toSql(BaseTypes.TIMESTAMP_TZ(6))).to.equal('TIMESTAMP(6) WITH TIME ZONE');
+      expect(toSql(BaseTypes.TIMESTAMP_LTZ)).to.equal('TIMESTAMP WITH LOCAL TIME ZONE');
+      expect(toSql(BaseTypes.ROWID)).to.equal('ROWID');
+      expect(toSql(BaseTypes.ENUM('on', 'off', 'présent'))).to.equal('VARCHAR(8)');
+    });
+
+    describe('validate', () => {
+      it('accepts interval literals', () => {
+        expect(BaseTypes.INTERVAL_YEAR_TO_MONTH().validate('-1-6')).to.equal(true);
+        expect(BaseTypes.INTERVAL_DAY_TO_SECOND().validate('2 12:30:00.5')).to.equal(true);
+        expect(() => BaseTypes.INTERVAL_DAY_TO_SECOND().validate('1-6')).to.throw(Sequelize.ValidationError, '"1-6" is not a valid interval day to second');
+      });
+
+      it('accepts only buffers for binary strings', () => {
+        expect(BaseTypes.VARBINARY(4).validate(Buffer.from('abcd'))).to.equal(true);
+        expect(() => BaseTypes.BINARY(4).validate('abcd')).to.throw(Sequelize.ValidationError, '"abcd" is not a valid binary');
+      });
+    });
+
+    describe('BOOLEAN', () => {
+      it('escapes and binds booleans as 1 and 0', () => {
+        const queryGenerator = current.getQueryInterface().QueryGenerator;
+        const field = { type: current.normalizeDataType(BaseTypes.BOOLEAN) };
+        const bind = [];
+
+        expect(queryGenerator.escape(true, field)).to.equal('1');
+        expect(queryGenerator.escape('false', field)).to.equal('0');
+        expect(queryGenerator.escape(false)).to.equal(0);
+        expect(queryGenerator.format(true, field, {}, queryGenerator.bindParam(bind))).to.equal('$1');
+        expect(bind).to.eql([1]);
+      });
+
+      it('leaves string literals alone', () => {
+        const User = current.define('User', { active: BaseTypes.BOOLEAN, bio: BaseTypes.STRING });
+
+        expect(current.getQueryInterface().QueryGenerator.selectQuery('Users', { where: { active: true, bio: 'status = true' } }, User))
+          .to.equal('SELECT * FROM "Users" AS "User" WHERE "User"."active" = 1 AND "User"."bio" = \'status = true\';');
+      });
+    });
+
+    describe('DATE', () => {
+      it('stores the offset of the time zone with withTimeZone', () => {
+        const type = current.normalizeDataType(BaseTypes.DATE({ length: 3, withTimeZone: true }));
+
+        expect(type.toSql()).to.equal('TIMESTAMP(3) WITH TIME ZONE');
+        expect(type.stringify(new Date(Date.UTC(2019, 0, 31, 20)), { timezone: 'Asia/Shanghai' })).to.equal('2019-02-01 04:00:00.000 +08:00');
+        expect(current.normalizeDataType(BaseTypes.DATE(6)).stringify(new Date(Date.UTC(2019, 0, 31, 20)), { timezone: '+08:00' })).to.equal('2019-02-01 04:00:00.000000');
+      });
+
+      it('reads timestamps in the time zone of the session', () => {
+        const value = new Date(2019, 1, 1, 4, 0, 0, 250);
+
+        expect(DataTypes.DATE.parse(value, { timezone: '+08:00' }).toISOString()).to.equal('2019-01-31T20:00:00.250Z');
+        expect(DataTypes.DATE.parse('2019-02-01 04:00:00', { timezone: 'Asia/Shanghai' }).toISOString()).to.equal('2019-01-31T20:00:00.000Z');
+      });
+
+      it('converts each value with the offset of a named time zone at its own date', () => {
+        const type = current.normalizeDataType(BaseTypes.DATE);
+
+        expect(type.stringify(new Date(Date.UTC(2019, 0, 31, 20)), { timezone: 'Europe/Berlin' })).to.equal('2019-01-31 21:00:00');
+        expect(type.stringify(new Date(Date.UTC(2019, 6, 31, 20)), { timezone: 'Europe/Berlin' })).to.equal('2019-07-31 22:00:00');
+        expect(DataTypes.DATE.parse('2019-01-31 21:00:00', { timezone: 'Europe/Berlin' }).toISOString()).to.equal('2019-01-31T20:00:00.000Z');
+        expect(DataTypes.DATE.parse('2019-07-31 22:00:00', { timezone: 'Europe/Berlin' }).toISOString()).to.equal('2019-07-31T20:00:00.000Z');
+      });
+    });
+
+    describe('INTERVAL', () => {
+      it('escapes and binds values as interval literals', () => {
+        const type = current.normalizeDataType(BaseTypes.INTERVAL_YEAR_TO_MONTH(2));
+        const bind = [];
+        const bindParam = current.getQueryInterface().QueryGenerator.bindParam(bind);
+
+        expect(type.stringify('1-6', { escape: value => `'${value}'` })).to.equal("INTERVAL '1-6' YEAR(2) TO MONTH");
+        expect(type.bindParam('1-6', { bindParam })).to.equal('CAST($1 AS INTERVAL YEAR(2) TO MONTH)');
+        expect(bind).to.eql(['1-6']);
+      });
+
+      it('parses the literals read by the driver', () => {
+        expect(DataTypes.INTERVAL_YEAR_TO_MONTH.parse("INTERVAL -'01-06' YEAR(2) TO MONTH")).to.equal('-01-06');
+        expect(DataTypes.INTERVAL_DAY_TO_SECOND.parse("INTERVAL '2 12:30:00.500000' DAY(2) TO SECOND(6)")).to.equal('2 12:30:00.500000');
+      });
+    });
+
+    describe('parsers', () => {
+      it('applies the parsers registered for the column types', () => {
+        const query = new Query({}, current, { type: 'SELECT' });
+        const rows = [{ day: new Date(2019, 0, 31), span: "INTERVAL '01-06' YEAR(2) TO MONTH", name: 'jane', active: 1 }];
+
+        query._applyParsers(rows, [
+          { name: 'day', dbTypeName: 'DATE' },
+          { name: 'span', dbTypeName: 'INTERVAL YEAR(2) TO MONTH' },
+          { name: 'name', dbTypeName: 'VARCHAR' },
+          { name: 'active', dbTypeName: 'BIT' }
+        ]);
+
+        expect(rows).to.deep.equal([{ day: '2019-01-31', span: '01-06', name: 'jane', active: true }]);
+      });
+    });
+
+    describe('describeTable', () => {
+      it('recognizes DM column types', () => {
+        const query = new Query({}, current, {});
+        const column = (Name, Type, Length, Precision, Scale) => ({ Name, Type, Length, Precision, Scale, IsNull: 'Y', Default: null, Constraint: '', IsIdentity: 0, Comment: null });
+        const result = query.handleDescribeQuery([
+          column('amount', 'NUMBER', 22, 10, 2),
+          column('code', 'VARCHAR2', 20),
+          column('hash', 'VARBINARY', 32),
+          column('term', 'INTERVAL YEAR TO MONTH', 5, 2, 0),
+          column('duration', 'INTERVAL DAY TO SECOND', 24, 2, 6),
+          column('signedAt', 'TIMESTAMP WITH TIME ZONE', 10, 26, 6),
+          column('ref', 'ROWID', 12),
+          Object.assign(column('status', 'VARCHAR', 7), { EnumCheck: '"status" IN (\'active\', \'it\'\'s\')' })
+        ]);
+
+        expect(_.mapValues(result, 'type')).to.deep.equal({
+          amount: 'NUMBER(10,2)',
+          code: 'VARCHAR2(20)',
+          hash: 'VARBINARY(32)',
+          term: 'INTERVAL YEAR(2) TO MONTH',
+          duration: 'INTERVAL DAY(2) TO SECOND(6)',
+          signedAt: 'TIMESTAMP(6) WITH TIME ZONE',
+          ref: 'ROWID',
+          status: 'VARCHAR(7)'
+        });
+        expect(result.status.special).to.deep.equal(['active', "it's"]);
+        expect(result.ref).not.to.have.property('special');
+      });
+    });
+  });
+}
@@ -2,33 +2,116 @@
 
 const chai = require('chai');
 const expect = chai.expect;
+const sinon = require('sinon');
 const Support = require('../../support');
 const Sequelize = Support.Sequelize;
+const DataTypes = require('../../../../lib/data-types');
 const dialect = Support.getTestDialect();
-const queryProto = Support.sequelize.dialect.Query.prototype;
+const current = Support.sequelize;
+const Query = current.dialect.Query;
+const queryProto = Query.prototype;
 
 if (dialect === 'dmdb') {
-  describe('[MYSQL Specific] ForeignKeyConstraintError - error message parsing', () => {
-    it('FK Errors with ` quotation char are parsed correctly', () => {
-      const fakeErr = new Error('Cannot delete or update a parent row: a foreign key constraint fails (`table`.`brothers`, CONSTRAINT `brothers_ibfk_1` FOREIGN KEY (`personId`) REFERENCES `people` (`id`) ON UPDATE CASCADE).');
+  describe('[DMDB Specific] Error code mapping', () => {
+    const fakeError = (errCode, message, sql) => {
+      const err = new Error(`[${errCode}] ${message}`);
+      err.errCode = errCode;
+      err.sql = sql;
+      return err;
+    };
 
-      fakeErr.code = 1451;
+    beforeEach(function() {
+      this.User = current.define('User', {
+        username: { type: DataTypes.STRING, unique: 'users_username_unique' },
+        title: { type: DataTypes.STRING, allowNull: false, field: 'user_title' }
+      });
+    });
 
-      const parsedErr = queryProto.formatError(fakeErr);
+    it('maps unique violations to UniqueConstraintError with the fields of the unique key', function() {
+      const instance = this.User.build({ username: 'janedoe' });
+      const query = new Query({}, current, { model: this.User, instance });
+      const fakeErr = fakeError(-6602, '违反唯一性约束[users_username_unique]', 'INSERT INTO "Users" ("username") VALUES (?);');
 
-      expect(parsedErr).to.be.instanceOf(Sequelize.ForeignKeyConstraintError);
+      const parsedErr = query.formatError(fakeErr);
+
+      expect(parsedErr).to.be.instanceOf(Sequelize.UniqueConstraintError);
       expect(parsedErr.parent).to.equal(fakeErr);
-      expect(parsedErr.reltype).to.equal('parent');
-      expect(parsedErr.table).to.equal('people');
-      expect(parsedErr.fields).to.be.an('array').to.deep.equal(['personId']);
-      expect(parsedErr.value).to.be.undefined;
-      expect(parsedErr.index).to.equal('brothers_ibfk_1');
+      expect(parsedErr.fields).to.deep.equal({ username: 'janedoe' });
+      expect(parsedErr.table).to.equal('Users');
+      expect(parsedErr.index).to.equal('users_username_unique');
+      expect(parsedErr.errors[0].path).to.equal('username');
+    });
+
+    it('reads the columns of system named unique constraints from the dictionary', () => {
+      const User = current.define('User', {
+        email: { type: DataTypes.STRING, unique: true, field: 'user_email' }
+      });
+      const instance = User.build({ email: 'jane@doe.com' });
+      const connection = {
+        execute: sinon.spy((sql, parameters, options, callback) => {
+          if (/ALL_CONS_COLUMNS/.test(sql)) {
+            return callback(null, { rows: [{ columnName: 'user_email' }] });
+          }
+          callback(fakeError(-6602, '违反唯一性约束[CONS134218794]'));
+        })
+      };
+
+      return new Query(connection, current, { model: User, instance, type: 'INSERT' }).run('INSERT INTO "Users" ("user_email") VALUES (?);', ['jane@doe.com'])
+        .then(() => {
+          throw new Error('the insert should have been rejected');
+        }, parsedErr => {
+          expect(connection.execute.secondCall.args[0]).to.equal('SELECT COLUMN_NAME AS "columnName" FROM ALL_CONS_COLUMNS'
+            + ' WHERE OWNER = SYS_CONTEXT(\'USERENV\', \'CURRENT_SCHEMA\') AND CONSTRAINT_NAME = \'CONS134218794\' ORDER BY POSITION');
+          expect(parsedErr).to.be.instanceOf(Sequelize.UniqueConstraintError);
+          expect(parsedErr.index).to.equal('CONS134218794');
+          expect(parsedErr.fields).to.deep.equal({ user_email: 'jane@doe.com' });
+          expect(parsedErr.errors[0].path).to.equal('user_email');
+        });
     });
 
-    it('FK Errors with " quotation char are parsed correctly', () => {
-      const fakeErr = new Error('Cannot delete or update a parent row: a foreign key constraint fails ("table"."brothers", CONSTRAINT "brothers_ibfk_1" FOREIGN KEY ("personId") REFERENCES "people" ("id") ON UPDATE CASCADE).');
+    it('looks up system named constraints in the schema of the failing statement', () => {
+      const connection = {
+        execute: sinon.spy((sql, parameters, options, callback) => {
+          if (/ALL_CONS_COLUMNS/.test(sql)) {
+            return callback(null, { rows: [{ columnName: 'userId' }] });
+          }
+          callback(fakeError(-6625, '违反引用约束[CONS134218801]'));
+        })
+      };
+
+      return expect(new Query(connection, current, { type: 'INSERT' }).run('INSERT INTO "app"."tasks" ("userId") VALUES (?);', [1]))
+        .to.be.rejectedWith(Sequelize.ForeignKeyConstraintError)
+        .then(parsedErr => {
+          expect(connection.execute.secondCall.args[0]).to.equal('SELECT COLUMN_NAME AS "columnName" FROM ALL_CONS_COLUMNS'
+            + ' WHERE OWNER = \'app\' AND CONSTRAINT_NAME = \'CONS134218801\' ORDER BY POSITION');
+          expect(parsedErr.fields).to.deep.equal(['userId']);
+          expect(parsedErr.table).to.equal('tasks');
+        });
+    });
 
-      fakeErr.code = 1451;
+    it('does not look up the columns of unique keys declared by the model', function() {
+      const connection = { execute: sinon.spy((sql, parameters, options, callback) => callback(fakeError(-6602, '违反唯一性约束[users_username_unique]'))) };
+
+      return expect(new Query(connection, current, { model: this.User, type: 'INSERT' }).run('INSERT INTO "Users" ("username") VALUES (?);', ['jane']))
+        .to.be.rejectedWith(Sequelize.UniqueConstraintError)
+        .then(() => {
+          expect(connection.execute).to.have.been.calledOnce;
+        });
+    });
+
+    it('reports the columns of violated foreign keys', () => {
+      const fakeErr = fakeError(-6625, '违反引用约束[CONS134218801]', 'INSERT INTO "tasks" ("userId") VALUES (?);');
+      fakeErr.constraintColumns = ['userId'];
+
+      const parsedErr = queryProto.formatError(fakeErr);
+
+      expect(parsedErr).to.be.instanceOf(Sequelize.ForeignKeyConstraintError);
+      expect(parsedErr.reltype).to.equal('child');
+      expect(parsedErr.fields).to.deep.equal(['userId']);
+    });
+
+    it('maps referential violations to ForeignKeyConstraintError', () => {
+      const fakeErr = fakeError(-6625, '违反引用约束[brothers_person_fk]', 'DELETE FROM "SYSDBA"."people" WHERE "id" = 1');
 
       const parsedErr = queryProto.formatError(fakeErr);
 
@@ -36,22 +119,45 @@ if (dialect === 'dmdb') {
       expect(parsedErr.parent).to.equal(fakeErr);
       expect(parsedErr.reltype).to.equal('parent');
       expect(parsedErr.table).to.equal('people');
-      expect(parsedErr.fields).to.be.an('array').to.deep.equal(['personId']);
-      expect(parsedErr.value).to.be.undefined;
-      expect(parsedErr.index).to.equal('brothers_ibfk_1');
+      expect(parsedErr.index).to.equal('brothers_person_fk');
     });
 
-    it('newlines contained in err message are parsed correctly', () => {
-      const fakeErr = new Error("Duplicate entry '13888888888\r' for key 'num'");
+    it('maps NOT NULL violations to ValidationError on the attribute', function() {
+      const query = new Query({}, current, { model: this.User });
+      const fakeErr = fakeError(-6609, '违反列[SYSDBA.Users.user_title]非空约束');
 
-      fakeErr.code = 1062;
+      const parsedErr = query.formatError(fakeErr);
 
-      const parsedErr = queryProto.formatError(fakeErr);
+      expect(parsedErr).to.be.instanceOf(Sequelize.ValidationError);
+      expect(parsedErr.errors[0].path).to.equal('title');
+      expect(parsedErr.errors[0].validatorKey).to.equal('is_null');
+    });
 
-      expect(parsedErr).to.be.instanceOf(Sequelize.UniqueConstraintError);
-      expect(parsedErr.parent).to.equal(fakeErr);
-      expect(parsedErr.fields.num).to.equal('13888888888\r');
+    it('maps CHECK violations to ValidationError', () => {
+      const parsedErr = queryProto.formatError(fakeError(-6604, '违反CHECK约束[users_age_check]'));
+
+      expect(parsedErr).to.be.instanceOf(Sequelize.ValidationError);
+      expect(parsedErr.errors[0].validatorKey).to.equal('users_age_check');
+    });
+
+    it('maps lock wait timeouts to TimeoutError', () => {
+      expect(queryProto.formatError(fakeError(-6403, '锁超时'))).to.be.instanceOf(Sequelize.TimeoutError);
+    });
+
+    it('maps deadlocks to DeadlockError', () => {
+      expect(queryProto.formatError(fakeError(-6402, '死锁'))).to.be.instanceOf(Sequelize.DeadlockError);
+      expect(queryProto.formatError(fakeError(-7000, 'deadlock detected'))).to.be.instanceOf(Sequelize.DeadlockError);
+    });
+
+    it('maps broken sessions to ConnectionError', () => {
+      expect(queryProto.formatError(fakeError(6001, 'Communication Error'))).to.be.instanceOf(Sequelize.ConnectionError);
+    });
+
+    it('falls back to DatabaseError', () => {
+      const parsedErr = queryProto.formatError(fakeError(-2106, '无效的表或视图名[foo]'));
+
+      expect(parsedErr).to.be.instanceOf(Sequelize.DatabaseError);
+      expect(parsedErr).not.to.be.instanceOf(Sequelize.ValidationError);
     });
-    
   });
 }
@@ -3,14 +3,21 @@
 const chai = require('chai'),
   expect = chai.expect,
   Support = require('../../support'),
+  Sequelize = Support.Sequelize,
   dialect = Support.getTestDialect(),
   _ = require('lodash'),
   Op = require('../../../../lib/operators'),
   IndexHints = require('../../../../lib/index-hints'),
-  QueryGenerator = require('../../../../lib/dialects/dmdb/query-generator');
+  DataTypes = require('../../../../lib/data-types'),
+  QueryGenerator = require('../../../../lib/dialects/dmdb/query-generator'),
+  { OutBind } = require('../../../../lib/dialects/dmdb/query');
 
 if (dialect === 'dmdb') {
   describe('[MYSQL Specific] QueryGenerator', () => {
+    const idAttribute = { type: new DataTypes.INTEGER(), autoIncrement: true, primaryKey: true, field: 'id', fieldName: 'id' };
+    const nameAttribute = { type: new DataTypes.STRING(), field: 'name', fieldName: 'name' };
+    const attributes = { id: idAttribute, name: nameAttribute };
+
     const suites = {
       createDatabaseQuery: [
         {
@@ -36,6 +43,24 @@ if (dialect === 'dmdb') {
           expectation: 'DROP DATABASE IF EXISTS `myDatabase`;'
         }
       ],
+      createSchema: [
+        {
+          arguments: ['mod_a'],
+          expectation: 'CREATE SCHEMA IF NOT EXISTS "mod_a";'
+        }
+      ],
+      dropSchema: [
+        {
+          arguments: ['mod_a'],
+          expectation: 'DROP SCHEMA IF EXISTS "mod_a" CASCADE;'
+        }
+      ],
+      showSchemasQuery: [
+        {
+          arguments: [],
+          expectation: 'SELECT NAME AS "schema_name" FROM SYSOBJECTS WHERE TYPE$ = \'SCH\' AND NAME NOT IN (\'SYS\', \'SYSDBA\', \'SYSAUDITOR\', \'SYSSSO\', \'CTISYS\', \'SYSJOB\') ORDER BY NAME;'
+        }
+      ],
       arithmeticQuery: [
         // {
         //   title: 'Should use the plus operator',
@@ -147,6 +172,19 @@ if (dialect === 'dmdb') {
         //   arguments: [{ id: { type: 'INTEGER', allowNull: false, autoIncrement: true, defaultValue: 1, references: { model: 'Bar' }, onDelete: 'CASCADE', onUpdate: 'RESTRICT' } }],
         //   expectation: { id: 'INTEGER NOT NULL auto_increment DEFAULT 1 REFERENCES `Bar` (`id`) ON DELETE CASCADE ON UPDATE RESTRICT' }
         // }
+        {
+          arguments: [{ id: { type: 'INTEGER', primaryKey: true, autoIncrement: true } }],
+          expectation: { id: 'INTEGER IDENTITY(1, 1) PRIMARY KEY' }
+        },
+        {
+          arguments: [{ id: { type: 'BIGINT', allowNull: false, autoIncrement: true, autoIncrementSeed: 1000, autoIncrementStep: 10 } }],
+          expectation: { id: 'BIGINT NOT NULL IDENTITY(1000, 10)' }
+        },
+        {
+          title: 'Add column level comment after the references',
+          arguments: [{ id: { type: 'INTEGER', references: { model: 'Bar' }, comment: 'Test' } }],
+          expectation: { id: 'INTEGER REFERENCES "Bar" ("id") COMMENT \'Test\'' }
+        }
       ],
 
       createTableQuery: [
@@ -198,6 +236,139 @@ if (dialect === 'dmdb') {
         //   arguments: ['myTable', { id: 'INTEGER auto_increment PRIMARY KEY' }, { initialAutoIncrement: 1000001 }],
         //   expectation: 'CREATE TABLE IF NOT EXISTS `myTable` (`id` INTEGER auto_increment , PRIMARY KEY (`id`)) ENGINE=InnoDB AUTO_INCREMENT=1000001;'
         // }
+        {
+          arguments: ['myTable', { id: 'INTEGER IDENTITY(1, 1) PRIMARY KEY' }],
+          expectation: 'CREATE TABLE IF NOT EXISTS "myTable" ("id" INTEGER IDENTITY(1, 1) , PRIMARY KEY ("id"));'
+        },
+        {
+          arguments: ['myTable', { id: 'INTEGER IDENTITY(1, 1) PRIMARY KEY' }, { initialAutoIncrement: 1000001 }],
+          expectation: 'CREATE TABLE IF NOT EXISTS "myTable" ("id" INTEGER IDENTITY(1000001, 1) , PRIMARY KEY ("id"));'
+        },
+        {
+          title: 'Moves table and column comments into COMMENT ON statements',
+          arguments: [{ tableName: 'myTable', schema: 'mod_a' }, { title: 'VARCHAR(255) COMMENT \'it\'\'s a title\'', otherId: 'INTEGER REFERENCES "otherTable" ("id") COMMENT \'owner\'' }, { comment: 'my table' }],
+          expectation: [
+            'CREATE TABLE IF NOT EXISTS "mod_a"."myTable" ("title" VARCHAR(255), "otherId" INTEGER, FOREIGN KEY ("otherId") REFERENCES "otherTable" ("id"));',
+            'COMMENT ON TABLE "mod_a"."myTable" IS \'my table\';',
+            'COMMENT ON COLUMN "mod_a"."myTable"."title" IS \'it\'\'s a title\';',
+            'COMMENT ON COLUMN "mod_a"."myTable"."otherId" IS \'owner\';'
+          ]
+        },
+        {
+          title: 'Adds model level check constraints',
+          arguments: ['myTable', { age: 'INTEGER' }, { checks: { adult_ck: { age: { [Op.gte]: 18 } } } }],
+          expectation: 'CREATE TABLE IF NOT EXISTS "myTable" ("age" INTEGER, CONSTRAINT "adult_ck" CHECK ("age" >= 18));'
+        }
+      ],
+
+      addConstraintQuery: [
+        {
+          arguments: ['myTable', { type: 'CHECK', fields: ['age'], where: { age: { [Op.gte]: 0 } } }],
+          expectation: 'ALTER TABLE "myTable" ADD CONSTRAINT "myTable_age_ck" CHECK ("age" >= 0);'
+        },
+        {
+          arguments: ['myTable', { type: 'UNIQUE', fields: ['title', 'name'] }],
+          expectation: 'ALTER TABLE "myTable" ADD CONSTRAINT "myTable_title_name_uk" UNIQUE ("title", "name");'
+        },
+        {
+          arguments: [{ tableName: 'myTable', schema: 'mod_a' }, { type: 'PRIMARY KEY', fields: ['id'] }],
+          expectation: 'ALTER TABLE "mod_a"."myTable" ADD CONSTRAINT "myTable_id_pk" PRIMARY KEY ("id");'
+        },
+        {
+          arguments: ['myTable', { type: 'FOREIGN KEY', fields: ['otherId'], references: { table: 'otherTable', field: 'id' }, onDelete: 'cascade' }],
+          expectation: 'ALTER TABLE "myTable" ADD CONSTRAINT "myTable_otherId_otherTable_fk" FOREIGN KEY ("otherId") REFERENCES "otherTable" ("id") ON DELETE CASCADE;'
+        }
+      ],
+
+      removeConstraintQuery: [
+        {
+          arguments: [{ tableName: 'myTable', schema: 'mod_a' }, 'myTable_age_ck'],
+          expectation: 'ALTER TABLE "mod_a"."myTable" DROP CONSTRAINT "myTable_age_ck";'
+        }
+      ],
+
+      dropForeignKeyQuery: [
+        {
+          arguments: ['myTable', 'myTable_otherId_otherTable_fk'],
+          expectation: 'ALTER TABLE "myTable" DROP CONSTRAINT "myTable_otherId_otherTable_fk";'
+        }
+      ],
+
+      showConstraintsQuery: [
+        {
+          arguments: [{ tableName: 'myTable', schema: 'mod_a' }, 'myTable_age_ck'],
+          expectation: 'SELECT c.OWNER AS "constraintCatalog", c.CONSTRAINT_NAME AS "constraintName", c.OWNER AS "constraintSchema",'
+            + ' CASE c.CONSTRAINT_TYPE WHEN \'P\' THEN \'PRIMARY KEY\' WHEN \'U\' THEN \'UNIQUE\' WHEN \'R\' THEN \'FOREIGN KEY\' WHEN \'C\' THEN \'CHECK\' END AS "constraintType",'
+            + ' c.TABLE_NAME AS "tableName", c.OWNER AS "tableSchema" FROM ALL_CONSTRAINTS c'
+            + ' WHERE c.TABLE_NAME = \'myTable\' AND c.OWNER = \'mod_a\' AND c.CONSTRAINT_NAME = \'myTable_age_ck\' ORDER BY c.CONSTRAINT_NAME;'
+        }
+      ],
+
+      addColumnQuery: [
+        {
+          title: 'Adds the column comment with COMMENT ON COLUMN',
+          arguments: ['myTable', 'title', { type: new DataTypes.STRING(), comment: 'a title' }],
+          expectation: ['ALTER TABLE "myTable" ADD "title" VARCHAR(255);', 'COMMENT ON COLUMN "myTable"."title" IS \'a title\';']
+        }
+      ],
+
+      changeColumnQuery: [
+        {
+          title: 'Changes type, nullability and default separately',
+          arguments: ['myTable', { title: 'VARCHAR(255) NOT NULL DEFAULT \'untitled\'' }],
+          expectation: [
+            'ALTER TABLE "myTable" MODIFY "title" VARCHAR(255);',
+            'ALTER TABLE "myTable" ALTER COLUMN "title" SET NOT NULL;',
+            'ALTER TABLE "myTable" ALTER COLUMN "title" SET DEFAULT \'untitled\';'
+          ]
+        },
+        {
+          title: 'Only changes the type when the attribute sets nothing else',
+          arguments: [{ tableName: 'myTable', schema: 'mod_a' }, { count: 'INTEGER' }],
+          expectation: ['ALTER TABLE "mod_a"."myTable" MODIFY "count" INTEGER;']
+        },
+        {
+          title: 'Drops NOT NULL and the default when the attribute allows NULL and defaults to NULL',
+          arguments: ['myTable', { count: 'INTEGER NULL DEFAULT NULL' }],
+          expectation: [
+            'ALTER TABLE "myTable" MODIFY "count" INTEGER;',
+            'ALTER TABLE "myTable" ALTER COLUMN "count" SET NULL;',
+            'ALTER TABLE "myTable" ALTER COLUMN "count" DROP DEFAULT;'
+          ]
+        },
+        {
+          title: 'Keeps the primary key and identity of the column',
+          arguments: ['myTable', { id: 'INTEGER NOT NULL IDENTITY(1, 1) PRIMARY KEY' }],
+          expectation: [
+            'ALTER TABLE "myTable" MODIFY "id" INTEGER;',
+            'ALTER TABLE "myTable" ALTER COLUMN "id" SET NOT NULL;'
+          ]
+        },
+        {
+          title: 'Adds unique and foreign key constraints',
+          arguments: ['myTable', { otherId: 'INTEGER UNIQUE REFERENCES "otherTable" ("id") ON DELETE CASCADE' }],
+          expectation: [
+            'ALTER TABLE "myTable" MODIFY "otherId" INTEGER;',
+            'ALTER TABLE "myTable" ADD UNIQUE ("otherId");',
+            'ALTER TABLE "myTable" ADD FOREIGN KEY ("otherId") REFERENCES "otherTable" ("id") ON DELETE CASCADE;'
+          ]
+        },
+        {
+          title: 'Changes the column comment with COMMENT ON COLUMN',
+          arguments: ['myTable', { title: 'VARCHAR(255) NOT NULL COMMENT \'a title\'' }],
+          expectation: [
+            'ALTER TABLE "myTable" MODIFY "title" VARCHAR(255);',
+            'ALTER TABLE "myTable" ALTER COLUMN "title" SET NOT NULL;',
+            'COMMENT ON COLUMN "myTable"."title" IS \'a title\';'
+          ]
+        }
+      ],
+
+      renameColumnQuery: [
+        {
+          arguments: ['myTable', 'title', { name: 'VARCHAR(255)' }],
+          expectation: 'ALTER TABLE "myTable" ALTER COLUMN "title" RENAME TO "name";'
+        }
       ],
 
       dropTableQuery: [
@@ -566,6 +737,41 @@ if (dialect === 'dmdb') {
         //   },
         //   needsSequelize: true
         // }
+        {
+          arguments: ['myTable', { name: 'foo' }],
+          expectation: {
+            query: 'INSERT INTO "myTable" ("name") VALUES ($1);',
+            bind: ['foo']
+          }
+        }, {
+          title: 'returns the generated identity through an out bind',
+          arguments: ['myTable', { name: 'foo' }, attributes],
+          expectation: {
+            query: 'INSERT INTO "myTable" ("name") VALUES ($1) RETURNING "id" INTO $2;',
+            bind: ['foo', new OutBind('id', idAttribute.type)]
+          }
+        }, {
+          title: 'returns all attributes through out binds with returning: true',
+          arguments: ['myTable', { name: 'foo' }, attributes, { returning: true }],
+          expectation: {
+            query: 'INSERT INTO "myTable" ("name") VALUES ($1) RETURNING "id","name" INTO $2,$3;',
+            bind: ['foo', new OutBind('id', idAttribute.type), new OutBind('name', nameAttribute.type)]
+          }
+        }, {
+          title: 'returns the listed attributes through out binds',
+          arguments: ['myTable', { id: 5, name: 'foo' }, attributes, { returning: ['name'] }],
+          expectation: {
+            query: 'SET IDENTITY_INSERT "myTable" ON; INSERT INTO "myTable" ("id","name") VALUES ($1,$2) RETURNING "name" INTO $3; SET IDENTITY_INSERT "myTable" OFF;',
+            bind: [5, 'foo', new OutBind('name', nameAttribute.type)]
+          }
+        }, {
+          title: 'inserts default values and returns the generated identity',
+          arguments: ['myTable', { id: null }, attributes],
+          expectation: {
+            query: 'INSERT INTO "myTable" DEFAULT VALUES RETURNING "id" INTO $1;',
+            bind: [new OutBind('id', idAttribute.type)]
+          }
+        }
       ],
 
       bulkInsertQuery: [
@@ -606,6 +812,16 @@ if (dialect === 'dmdb') {
         //   arguments: ['myTable', [{ name: 'foo' }, { name: 'bar' }], { updateOnDuplicate: ['name'] }],
         //   expectation: "INSERT INTO `myTable` (`name`) VALUES ('foo'),('bar') ON DUPLICATE KEY UPDATE `name`=VALUES(`name`);"
         // }
+        {
+          arguments: ['myTable', [{ id: null, name: 'foo' }, { id: null, name: 'bar' }], { returning: true }, attributes],
+          expectation: "INSERT INTO \"myTable\" (\"name\") VALUES ('foo'),('bar');"
+        }, {
+          arguments: ['myTable', [{ id: 1, name: 'foo' }, { id: 2, name: 'bar' }], {}, attributes],
+          expectation: "SET IDENTITY_INSERT \"myTable\" ON; INSERT INTO \"myTable\" (\"id\",\"name\") VALUES (1,'foo'),(2,'bar'); SET IDENTITY_INSERT \"myTable\" OFF;"
+        }, {
+          arguments: ['myTable', [{ id: null }, { id: null }], {}, attributes],
+          expectation: ['INSERT INTO "myTable" DEFAULT VALUES;', 'INSERT INTO "myTable" DEFAULT VALUES;']
+        }
       ],
 
       updateQuery: [
@@ -689,6 +905,13 @@ if (dialect === 'dmdb') {
         //   },
         //   needsSequelize: true
         // }
+        {
+          arguments: ['myTable', { name: 'foo' }, { id: 2 }, { returning: true }, attributes],
+          expectation: {
+            query: 'UPDATE "myTable" SET "name"=$1 WHERE "id" = $2 RETURNING "id","name" INTO $3,$4',
+            bind: ['foo', 2, new OutBind('id', idAttribute.type), new OutBind('name', nameAttribute.type)]
+          }
+        }
       ],
 
       showIndexesQuery: [
@@ -699,6 +922,13 @@ if (dialect === 'dmdb') {
         //   arguments: ['User', { database: 'sequelize' }],
         //   expectation: 'SHOW INDEX FROM `User` FROM `sequelize`'
         // }
+        {
+          arguments: ['User'],
+          expectation: 'SELECT i.INDEX_NAME AS "name", i.TABLE_NAME AS "tableName", i.INDEX_TYPE AS "type", i.UNIQUENESS AS "uniqueness", (CASE WHEN k.CONSTRAINT_NAME IS NULL THEN 0 ELSE 1 END) AS "primary", ic.COLUMN_NAME AS "columnName", ic.COLUMN_POSITION AS "position", ic.DESCEND AS "descend", ie.COLUMN_EXPRESSION AS "expression" FROM ALL_INDEXES i INNER JOIN ALL_IND_COLUMNS ic ON ic.INDEX_OWNER = i.OWNER AND ic.INDEX_NAME = i.INDEX_NAME LEFT JOIN ALL_IND_EXPRESSIONS ie ON ie.INDEX_OWNER = i.OWNER AND ie.INDEX_NAME = i.INDEX_NAME AND ie.COLUMN_POSITION = ic.COLUMN_POSITION LEFT JOIN ALL_CONSTRAINTS k ON k.OWNER = i.TABLE_OWNER AND k.TABLE_NAME = i.TABLE_NAME AND k.INDEX_NAME = i.INDEX_NAME AND k.CONSTRAINT_TYPE = \'P\' WHERE i.TABLE_NAME = \'User\' AND i.TABLE_OWNER = SYS_CONTEXT(\'USERENV\', \'CURRENT_SCHEMA\') ORDER BY i.INDEX_NAME, ic.COLUMN_POSITION;'
+        }, {
+          arguments: [{ tableName: 'User', schema: "o'neil" }],
+          expectation: 'SELECT i.INDEX_NAME AS "name", i.TABLE_NAME AS "tableName", i.INDEX_TYPE AS "type", i.UNIQUENESS AS "uniqueness", (CASE WHEN k.CONSTRAINT_NAME IS NULL THEN 0 ELSE 1 END) AS "primary", ic.COLUMN_NAME AS "columnName", ic.COLUMN_POSITION AS "position", ic.DESCEND AS "descend", ie.COLUMN_EXPRESSION AS "expression" FROM ALL_INDEXES i INNER JOIN ALL_IND_COLUMNS ic ON ic.INDEX_OWNER = i.OWNER AND ic.INDEX_NAME = i.INDEX_NAME LEFT JOIN ALL_IND_EXPRESSIONS ie ON ie.INDEX_OWNER = i.OWNER AND ie.INDEX_NAME = i.INDEX_NAME AND ie.COLUMN_POSITION = ic.COLUMN_POSITION LEFT JOIN ALL_CONSTRAINTS k ON k.OWNER = i.TABLE_OWNER AND k.TABLE_NAME = i.TABLE_NAME AND k.INDEX_NAME = i.INDEX_NAME AND k.CONSTRAINT_TYPE = \'P\' WHERE i.TABLE_NAME = \'User\' AND i.TABLE_OWNER = \'o\'\'neil\' ORDER BY i.INDEX_NAME, ic.COLUMN_POSITION;'
+        }
       ],
 
       removeIndexQuery: [
@@ -793,5 +1023,375 @@ if (dialect === 'dmdb') {
         });
       });
     });
+
+    describe('identifier case', () => {
+      beforeEach(function() {
+        this.dialectOptions = this.sequelize.options.dialectOptions;
+        this.sequelize.options.dialectOptions = { identifierCase: 'upper' };
+      });
+
+      afterEach(function() {
+        this.sequelize.options.dialectOptions = this.dialectOptions;
+      });
+
+      it('upper cases quoted identifiers and dictionary lookups', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+
+        expect(queryGenerator.selectQuery('myTable', { attributes: ['firstName'], where: { lastName: 'doe' } }))
+          .to.equal('SELECT "FIRSTNAME" FROM "MYTABLE" WHERE "MYTABLE"."LASTNAME" = \'doe\';');
+        expect(queryGenerator.showConstraintsQuery({ tableName: 'myTable', schema: 'mod_a' }))
+          .to.include('WHERE c.TABLE_NAME = \'MYTABLE\' AND c.OWNER = \'MOD_A\'');
+      });
+
+      it('rejects unknown identifier cases', function() {
+        const create = dialectOptions => new QueryGenerator({ sequelize: { options: { dialectOptions } }, _dialect: this.sequelize.dialect });
+
+        expect(() => create({ identifierCase: 'lower' })).to.throw("dialectOptions.identifierCase must be one of preserve, upper, none, got 'lower'");
+        expect(create({ identifierCase: 'none' })._identifierCase()).to.equal('none');
+      });
+    });
+
+    describe('pagination', () => {
+      const paginate = (sequelize, pagination, options) => {
+        const dialectOptions = sequelize.options.dialectOptions;
+        sequelize.options.dialectOptions = { pagination };
+        try {
+          return sequelize.dialect.QueryGenerator.selectQuery('myTable', options);
+        } finally {
+          sequelize.options.dialectOptions = dialectOptions;
+        }
+      };
+
+      it('rejects unknown pagination syntaxes', function() {
+        expect(() => new QueryGenerator({ sequelize: { options: { dialectOptions: { pagination: 'rownum' } } }, _dialect: this.sequelize.dialect }))
+          .to.throw("dialectOptions.pagination must be one of limit, fetch, top, got 'rownum'");
+      });
+
+      it('uses LIMIT ... OFFSET by default', function() {
+        expect(paginate(this.sequelize, undefined, { limit: 10, offset: 20 })).to.equal('SELECT * FROM "myTable" LIMIT 10 OFFSET 20;');
+        expect(paginate(this.sequelize, undefined, { offset: 20 })).to.equal('SELECT * FROM "myTable" OFFSET 20 ROWS;');
+      });
+
+      it('uses the row limiting clause with pagination: fetch', function() {
+        expect(paginate(this.sequelize, 'fetch', { limit: 10, offset: 20 })).to.equal('SELECT * FROM "myTable" OFFSET 20 ROWS FETCH NEXT 10 ROWS ONLY;');
+        expect(paginate(this.sequelize, 'fetch', { limit: 10 })).to.equal('SELECT * FROM "myTable" FETCH FIRST 10 ROWS ONLY;');
+      });
+
+      it('uses SELECT TOP with pagination: top', function() {
+        expect(paginate(this.sequelize, 'top', { limit: 10, offset: 20 })).to.equal('SELECT TOP 20, 10 * FROM "myTable";');
+        expect(paginate(this.sequelize, 'top', { limit: 10 })).to.equal('SELECT TOP 10 * FROM "myTable";');
+        expect(paginate(this.sequelize, 'top', { offset: 20 })).to.equal('SELECT * FROM "myTable" OFFSET 20 ROWS;');
+      });
+
+      it('limits the subquery when hasMany includes are combined with limit', function() {
+        const User = this.sequelize.define('User', { name: DataTypes.STRING });
+        const Project = this.sequelize.define('Project', { title: DataTypes.STRING });
+        User.hasMany(Project, { as: 'Projects', foreignKey: 'userId' });
+
+        const options = { model: User, attributes: ['id'], include: [{ model: Project, as: 'Projects', attributes: ['title'] }], limit: 10, offset: 20 };
+        User._validateIncludedElements(options);
+
+        expect(this.sequelize.dialect.QueryGenerator.selectQuery(User.getTableName(), options, User)).to.equal(
+          'SELECT "User".*, "Projects"."id" AS "Projects.id", "Projects"."title" AS "Projects.title"'
+          + ' FROM (SELECT "User"."id" FROM "Users" AS "User" LIMIT 10 OFFSET 20) AS "User"'
+          + ' LEFT OUTER JOIN "Projects" AS "Projects" ON "User"."id" = "Projects"."userId";'
+        );
+      });
+
+      it('limits deletes with ROWNUM', function() {
+        expect(this.sequelize.dialect.QueryGenerator.deleteQuery('myTable', { name: 'foo' }, { limit: 1 }))
+          .to.equal('DELETE FROM "myTable" WHERE ("name" = \'foo\') AND ROWNUM <= 1');
+      });
+    });
+
+    describe('JSON', () => {
+      beforeEach(function() {
+        this.Event = this.sequelize.define('Event', { meta: DataTypes.JSON });
+        this.select = options => this.sequelize.dialect.QueryGenerator.selectQuery('Events', options, this.Event);
+      });
+
+      it('extracts nested where and order paths with JSON_VALUE', function() {
+        expect(this.select({ where: { meta: { a: { b: 1 }, 'first name': 'jane' } }, order: [['meta.a.b', 'DESC']] })).to.equal(
+          'SELECT * FROM "Events" AS "Event" WHERE (CAST(JSON_VALUE("Event"."meta", \'$.a.b\') AS DECIMAL) = 1'
+          + ' AND JSON_VALUE("Event"."meta", \'$."first name"\') = \'jane\') ORDER BY JSON_VALUE("Event"."meta", \'$.a.b\') DESC;'
+        );
+      });
+
+      it('falls back to JSON_QUERY for Sequelize.json paths', function() {
+        expect(this.select({ attributes: [[Sequelize.json('meta.tags.0'), 'tag']] })).to.equal(
+          'SELECT COALESCE(JSON_VALUE("meta", \'$.tags[0]\'), JSON_QUERY("meta", \'$.tags[0]\')) AS "tag" FROM "Events" AS "Event";'
+        );
+      });
+
+      it('compiles Op.contains to JSON_EXISTS', function() {
+        expect(this.select({ where: { meta: { [Op.contains]: { a: { b: 1 }, tags: ['x', "it's"] } } } })).to.equal(
+          'SELECT * FROM "Events" AS "Event" WHERE JSON_EXISTS("Event"."meta", \'$?(@.a.b == 1 && @.tags == "x" && @.tags == "it\'\'s")\');'
+        );
+        expect(this.select({ where: { meta: { tags: { [Op.contains]: [true, null] } } } })).to.equal(
+          'SELECT * FROM "Events" AS "Event" WHERE (JSON_EXISTS("Event"."meta", \'$.tags?(@ == true)\') AND JSON_EXISTS("Event"."meta", \'$.tags?(@ == null)\'));'
+        );
+        expect(this.select({ where: { meta: { [Op.contains]: [1, { a: 2 }] } } })).to.equal(
+          'SELECT * FROM "Events" AS "Event" WHERE (JSON_EXISTS("Event"."meta", \'$?(@ == 1)\') AND JSON_EXISTS("Event"."meta", \'$?(@.a == 2)\'));'
+        );
+        expect(this.select({ where: { meta: { [Op.contains]: ['x'] } } })).to.equal(
+          'SELECT * FROM "Events" AS "Event" WHERE JSON_EXISTS("Event"."meta", \'$?(@ == "x")\');'
+        );
+      });
+
+      it('stores JSON in CLOB columns checked with IS JSON', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+        const meta = this.sequelize.normalizeAttribute({ type: DataTypes.JSON });
+
+        expect(queryGenerator.attributesToSQL({ meta })).to.deep.equal({ meta: 'CLOB CHECK ("meta" IS JSON(LAX))' });
+        expect(queryGenerator.addColumnQuery('Events', 'meta', meta)).to.equal('ALTER TABLE "Events" ADD "meta" CLOB CHECK ("meta" IS JSON(LAX));');
+      });
+    });
+
+    describe('ENUM', () => {
+      it('checks the values with a constraint named after the column', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+        const status = this.sequelize.normalizeAttribute({ type: DataTypes.ENUM('active', "it's"), allowNull: false });
+
+        expect(queryGenerator.attributesToSQL({ status }, { table: 'Users', context: 'createTable' })).to.deep.equal({
+          status: 'VARCHAR(6) NOT NULL CONSTRAINT "Users_status_enum" CHECK ("status" IN (\'active\', \'it\'\'s\'))'
+        });
+        expect(queryGenerator.addColumnQuery({ tableName: 'Users', schema: 'mod_a' }, 'status', status)).to.equal(
+          'ALTER TABLE "mod_a"."Users" ADD "status" VARCHAR(6) NOT NULL CONSTRAINT "Users_status_enum" CHECK ("status" IN (\'active\', \'it\'\'s\'));'
+        );
+      });
+
+      it('adds back the constraint when the column is changed', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+        const status = this.sequelize.normalizeAttribute({ type: DataTypes.ENUM('active', 'blocked'), defaultValue: 'active' });
+
+        expect(queryGenerator.changeColumnQuery('Users', queryGenerator.attributesToSQL({ status }, { table: 'Users', context: 'changeColumn' }))).to.deep.equal([
+          'ALTER TABLE "Users" MODIFY "status" VARCHAR(7);',
+          'ALTER TABLE "Users" ALTER COLUMN "status" SET DEFAULT \'active\';',
+          'ALTER TABLE "Users" ADD CONSTRAINT "Users_status_enum" CHECK ("status" IN (\'active\', \'blocked\'));'
+        ]);
+      });
+    });
+
+    describe('UUID storage', () => {
+      const uuid = '8f1f0f4e-4a9c-4f44-9e4f-1c2b3d4e5f60';
+
+      beforeEach(function() {
+        this.dialectOptions = this.sequelize.options.dialectOptions;
+        this.Document = this.sequelize.define('Document', {
+          id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.GUID },
+          ref: DataTypes.UUID
+        });
+      });
+
+      afterEach(function() {
+        this.sequelize.options.dialectOptions = this.dialectOptions;
+      });
+
+      it('rejects unknown storages', function() {
+        expect(() => new QueryGenerator({ sequelize: { options: { dialectOptions: { uuidStorage: 'raw' } } }, _dialect: this.sequelize.dialect }))
+          .to.throw("dialectOptions.uuidStorage must be one of char, varchar, binary, got 'raw'");
+      });
+
+      it('declares the columns following uuidStorage', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+        const ref = this.Document.rawAttributes.ref;
+
+        expect(queryGenerator.attributeToSQL(ref)).to.equal('CHAR(36)');
+        this.sequelize.options.dialectOptions = { uuidStorage: 'varchar' };
+        expect(queryGenerator.attributeToSQL(ref)).to.equal('VARCHAR(36)');
+        this.sequelize.options.dialectOptions = { uuidStorage: 'binary' };
+        expect(queryGenerator.attributeToSQL(ref)).to.equal('BINARY(16)');
+      });
+
+      it('escapes and binds binary UUIDs as bytes', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+        const bind = [];
+        this.sequelize.options.dialectOptions = { uuidStorage: 'binary' };
+
+        expect(queryGenerator.selectQuery('Documents', { where: { ref: [uuid] } }, this.Document))
+          .to.equal('SELECT * FROM "Documents" AS "Document" WHERE "Document"."ref" IN (X\'8f1f0f4e4a9c4f449e4f1c2b3d4e5f60\');');
+        expect(queryGenerator.format(uuid, this.Document.rawAttributes.ref, {}, queryGenerator.bindParam(bind))).to.equal('$1');
+        expect(bind).to.deep.equal([Buffer.from('8f1f0f4e4a9c4f449e4f1c2b3d4e5f60', 'hex')]);
+      });
+
+      it('generates GUID defaults on the server and returns them', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+        const values = this.Document.build({ ref: uuid }).get({ raw: true });
+
+        expect(queryGenerator.attributeToSQL(this.Document.rawAttributes.id)).to.equal('CHAR(36) DEFAULT LOWER(NEWID()) PRIMARY KEY');
+
+        this.sequelize.options.dialectOptions = { uuidStorage: 'binary' };
+        expect(queryGenerator.attributeToSQL(this.Document.rawAttributes.id)).to.equal('BINARY(16) DEFAULT HEXTORAW(GUID()) PRIMARY KEY');
+
+        const result = queryGenerator.insertQuery('Documents', values, this.Document.rawAttributes, {});
+        expect(result.query).to.equal('INSERT INTO "Documents" ("id","ref") VALUES (HEXTORAW(GUID()),$1) RETURNING "id" INTO $2;');
+        expect(result.bind[1]).to.be.an.instanceOf(OutBind);
+        expect(result.bind[1].field).to.equal('id');
+      });
+    });
+
+    describe('spatial', () => {
+      const point = { type: 'Point', coordinates: [116.4, 39.9] };
+
+      beforeEach(function() {
+        this.Place = this.sequelize.define('Place', {
+          location: DataTypes.GEOMETRY('POINT', 4326),
+          area: DataTypes.GEOGRAPHY
+        });
+      });
+
+      it('selects spatial attributes as EWKT', function() {
+        const options = { model: this.Place, attributes: ['id', 'location'] };
+
+        expect(this.sequelize.dialect.QueryGenerator.selectQuery('Places', options, this.Place)).to.equal(
+          'SELECT "id", CASE WHEN "location" IS NULL THEN NULL ELSE \'SRID=\' || DMGEO.ST_SRID("location") || \';\' || DMGEO.ST_ASTEXT("location") END AS "location" FROM "Places" AS "Place";'
+        );
+      });
+
+      it('escapes GeoJSON as WKT and binds it as WKB', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+        const values = { location: point, area: { type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] } };
+
+        expect(queryGenerator.insertQuery('Places', values, this.Place.rawAttributes, { bindParam: false }).query).to.equal(
+          'INSERT INTO "Places" ("location","area") VALUES (DMGEO.ST_GEOMFROMTEXT(\'POINT(116.4 39.9)\', 4326),DMGEO.ST_GEOGFROMTEXT(\'MULTIPOINT(1 2,3 4)\', 4326));'
+        );
+
+        const result = queryGenerator.insertQuery('Places', values, this.Place.rawAttributes, {});
+        expect(result.query).to.equal('INSERT INTO "Places" ("location","area") VALUES (DMGEO.ST_GEOMFROMWKB($1, 4326),DMGEO.ST_GEOGFROMWKB($2, 4326)) RETURNING "id" INTO $3;');
+        expect(result.bind[0]).to.deep.equal(Buffer.from('01010000009a99999999195d403333333333f34340', 'hex'));
+      });
+
+      it('maps operators and DMGEO functions to spatial predicates', function() {
+        const where = {
+          location: { [Op.contained]: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]], crs: { type: 'name', properties: { name: 'EPSG:4490' } } } },
+          area: { [Op.overlap]: point },
+          [Op.and]: Sequelize.where(Sequelize.fn('DMGEO.ST_DWITHIN', Sequelize.col('location'), point, 1000), 1)
+        };
+
+        expect(this.sequelize.dialect.QueryGenerator.selectQuery('Places', { attributes: ['id'], where }, this.Place)).to.equal(
+          'SELECT "id" FROM "Places" AS "Place" WHERE DMGEO.ST_DWITHIN("location", DMGEO.ST_GEOMFROMTEXT(\'POINT(116.4 39.9)\', 0), 1000) = 1'
+          + ' AND DMGEO.ST_WITHIN("Place"."location", DMGEO.ST_GEOMFROMTEXT(\'POLYGON((0 0,1 0,1 1,0 0))\', 4490)) = 1'
+          + ' AND DMGEO.ST_INTERSECTS("Place"."area", DMGEO.ST_GEOGFROMTEXT(\'POINT(116.4 39.9)\', 4326)) = 1;'
+        );
+      });
+    });
+
+    describe('locks', () => {
+      beforeEach(function() {
+        this.User = this.sequelize.define('User', { name: DataTypes.STRING });
+        this.Task = this.sequelize.define('Task', { title: DataTypes.STRING });
+        this.Note = this.sequelize.define('Note', { text: DataTypes.STRING });
+        this.User.hasMany(this.Task);
+        this.Task.hasMany(this.Note);
+      });
+
+      it('selects rows FOR UPDATE, with NOWAIT, WAIT n or SKIP LOCKED', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+        const select = options => queryGenerator.selectQuery('Users', Object.assign({ model: this.User, attributes: ['id'] }, options), this.User);
+
+        expect(select({ lock: true })).to.equal('SELECT "id" FROM "Users" AS "User" FOR UPDATE;');
+        expect(select({ lock: Sequelize.Transaction.LOCK.UPDATE, nowait: true })).to.equal('SELECT "id" FROM "Users" AS "User" FOR UPDATE NOWAIT;');
+        expect(select({ lock: { level: Sequelize.Transaction.LOCK.UPDATE }, waitSeconds: 5 })).to.equal('SELECT "id" FROM "Users" AS "User" FOR UPDATE WAIT 5;');
+        expect(select({ lock: true, skipLocked: true, limit: 10 })).to.equal('SELECT "id" FROM "Users" AS "User" LIMIT 10 FOR UPDATE SKIP LOCKED;');
+        expect(() => select({ lock: true, skipLocked: true, nowait: true })).to.throw('skipLocked, nowait cannot be combined');
+        expect(() => select({ lock: true, waitSeconds: '5s' })).to.throw("waitSeconds must be a number of seconds, got '5s'");
+      });
+
+      it('rejects shared lock levels', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+        const select = lock => queryGenerator.selectQuery('Users', { attributes: ['id'], lock }, this.User);
+
+        expect(() => select(Sequelize.Transaction.LOCK.SHARE)).to.throw("DMDB only takes exclusive row locks, use lock: true or LOCK.UPDATE instead of 'SHARE'");
+        expect(() => select(Sequelize.Transaction.LOCK.KEY_SHARE)).to.throw("instead of 'KEY SHARE'");
+        expect(() => select({ level: Sequelize.Transaction.LOCK.NO_KEY_UPDATE, of: this.User })).to.throw("instead of 'NO KEY UPDATE'");
+      });
+
+      it('locks the rows of the main model or of lock.of when includes are present', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+        const select = lock => {
+          const options = {
+            model: this.User,
+            attributes: ['id'],
+            include: [{ model: this.Task, attributes: [], include: [{ model: this.Note, attributes: [] }] }],
+            lock
+          };
+          this.User._validateIncludedElements(options);
+          return queryGenerator.selectQuery('Users', options, this.User);
+        };
+
+        expect(select(true)).to.match(/ FOR UPDATE OF "User"\."id";$/);
+        expect(select({ level: Sequelize.Transaction.LOCK.UPDATE, of: this.Note })).to.match(/ FOR UPDATE OF "Tasks->Notes"\."id";$/);
+      });
+
+      it('locks tables in the given mode', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+
+        expect(queryGenerator.lockTableQuery({ tableName: 'jobs', schema: 'queue' }, 'row exclusive')).to.equal('LOCK TABLE "queue"."jobs" IN ROW EXCLUSIVE MODE;');
+        expect(queryGenerator.lockTableQuery('jobs', 'EXCLUSIVE', { nowait: true })).to.equal('LOCK TABLE "jobs" IN EXCLUSIVE MODE NOWAIT;');
+        expect(() => queryGenerator.lockTableQuery('jobs', 'UPDATE')).to.throw('Supported table lock modes are');
+      });
+    });
+
+    describe('bulk insert batches', () => {
+      beforeEach(function() {
+        this.User = this.sequelize.define('User', { name: DataTypes.STRING, location: DataTypes.GEOMETRY });
+        this.attributes = _.mapKeys(this.User.rawAttributes, attribute => attribute.field);
+      });
+
+      it('binds the rows to one INSERT returning the identity, batchSize rows at a time', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+        const point = { type: 'Point', coordinates: [1, 2] };
+        const batches = queryGenerator.bulkInsertBatches('Users', [
+          { name: 'a', location: point },
+          { name: 'b', location: point },
+          { name: 'c', location: point },
+          { name: null, location: null },
+          { name: 'e' }
+        ], { batchSize: 2 }, this.attributes);
+
+        expect(batches.map(batch => batch.query)).to.deep.equal([
+          'INSERT INTO "Users" ("name","location") VALUES (?,DMGEO.ST_GEOMFROMWKB(?, 0)) RETURNING "id" INTO ?;',
+          'INSERT INTO "Users" ("name","location") VALUES (?,DMGEO.ST_GEOMFROMWKB(?, 0)) RETURNING "id" INTO ?;',
+          'INSERT INTO "Users" ("name","location") VALUES (?,?) RETURNING "id" INTO ?;'
+        ]);
+        expect(batches.map(batch => batch.indexes)).to.deep.equal([[0, 1], [2], [3, 4]]);
+        expect(batches[2].bind.map(row => row.slice(0, 2))).to.deep.equal([[null, null], ['e', null]]);
+        expect(batches[0].bind[0][2]).to.be.instanceOf(OutBind);
+        expect(batches[0].bind[0][2].field).to.equal('id');
+      });
+
+      it('leaves explicit identity values to bulkInsertQuery', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+
+        expect(queryGenerator.bulkInsertBatches('Users', [{ id: 5, name: 'a' }, { name: 'b' }], {}, this.attributes)).to.equal(null);
+        expect(() => queryGenerator.bulkInsertBatches('Users', [{ name: 'a' }], { batchSize: 2.5 }, this.attributes))
+          .to.throw('batchSize must be a positive integer, got 2.5');
+      });
+
+      it('binds rows without values and duplicate handling to the same INSERT', function() {
+        const queryGenerator = this.sequelize.dialect.QueryGenerator;
+        const query = (records, options) => queryGenerator.bulkInsertBatches('Users', records, options, this.attributes)[0].query;
+
+        expect(query([{}, {}], {})).to.equal('INSERT INTO "Users" DEFAULT VALUES RETURNING "id" INTO ?;');
+        expect(query([{ name: 'a' }], { ignoreDuplicates: true })).to.equal('INSERT IGNORE INTO "Users" ("name") VALUES (?) RETURNING "id" INTO ?;');
+        expect(query([{ name: 'a' }], { updateOnDuplicate: ['name'] }))
+          .to.equal('INSERT INTO "Users" ("name") VALUES (?) ON DUPLICATE KEY UPDATE "name"=VALUES("name") RETURNING "id" INTO ?;');
+      });
+    });
+
+    describe('schema-qualified models', () => {
+      it('quotes schema and table separately across includes', function() {
+        const User = this.sequelize.define('User', { name: DataTypes.STRING }).schema('mod_a');
+        const Project = this.sequelize.define('Project', { title: DataTypes.STRING }).schema('mod_a');
+        User.hasMany(Project, { as: 'Projects', foreignKey: 'userId' });
+
+        const options = { model: User, attributes: ['id'], include: [{ model: Project, as: 'Projects', attributes: ['title'] }] };
+        User._validateIncludedElements(options);
+
+        expect(this.sequelize.dialect.QueryGenerator.selectQuery(User.getTableName(), options, User)).to.equal(
+          'SELECT "User"."id", "Projects"."id" AS "Projects.id", "Projects"."title" AS "Projects.title" FROM "mod_a"."Users" AS "User" LEFT OUTER JOIN "mod_a"."Projects" AS "Projects" ON "User"."id" = "Projects"."userId";'
+        );
+      });
+    });
   });
 }
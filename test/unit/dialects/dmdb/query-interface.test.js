@@ -0,0 +1,93 @@
+'use strict';
+
+const chai = require('chai'),
+  expect = chai.expect,
+  Support = require('../../support'),
+  Sequelize = Support.Sequelize,
+  Promise = Sequelize.Promise,
+  dialect = Support.getTestDialect(),
+  current = Support.sequelize,
+  sinon = require('sinon');
+
+if (dialect === 'dmdb') {
+  describe('[DMDB Specific] QueryInterface', () => {
+    describe('comments', () => {
+      beforeEach(function() {
+        this.stub = sinon.stub(current, 'query').resolves([]);
+      });
+
+      afterEach(function() {
+        this.stub.restore();
+      });
+
+      it('creates the table before setting the comments one statement at a time', function() {
+        return current.getQueryInterface().createTable('Users', {
+          username: { type: Sequelize.STRING, comment: 'login' }
+        }, { comment: 'accounts' }).then(() => {
+          expect(this.stub.args.map(args => args[0])).to.deep.equal([
+            'CREATE TABLE IF NOT EXISTS "Users" ("username" VARCHAR(255));',
+            'COMMENT ON TABLE "Users" IS \'accounts\';',
+            'COMMENT ON COLUMN "Users"."username" IS \'login\';'
+          ]);
+        });
+      });
+
+      it('adds the column before setting its comment', function() {
+        return current.getQueryInterface().addColumn('Users', 'nickname', { type: Sequelize.STRING, comment: 'shown' }).then(() => {
+          expect(this.stub.args.map(args => args[0])).to.deep.equal([
+            'ALTER TABLE "Users" ADD "nickname" VARCHAR(255);',
+            'COMMENT ON COLUMN "Users"."nickname" IS \'shown\';'
+          ]);
+        });
+      });
+    });
+
+    describe('changeColumn', () => {
+      beforeEach(function() {
+        this.stub = sinon.stub(current, 'query').resolves([]);
+      });
+
+      afterEach(function() {
+        this.stub.restore();
+      });
+
+      it('runs the statements of the change one at a time', function() {
+        return current.getQueryInterface().changeColumn('Users', 'age', Sequelize.INTEGER).then(() => {
+          expect(this.stub.args.slice(1).map(args => args[0])).to.deep.equal([
+            'ALTER TABLE "Users" MODIFY "age" INTEGER;',
+            'ALTER TABLE "Users" ALTER COLUMN "age" SET NULL;'
+          ]);
+        });
+      });
+    });
+
+    describe('bulkInsert', () => {
+      beforeEach(function() {
+        this.stub = sinon.stub(current, 'query').callsFake((sql, options) => Promise.resolve(options.bulkBind.length === 2
+          ? [[{ id: 1 }, null], [{ index: 1, error: new Sequelize.UniqueConstraintError() }]]
+          : [[{ id: 2 }], []]
+        ));
+      });
+
+      afterEach(function() {
+        this.stub.restore();
+      });
+
+      it('runs every batch before rejecting with the errors of the records', function() {
+        const records = [{ username: 'jane' }, { username: 'jane' }, { username: 'john' }];
+
+        return current.getQueryInterface().bulkInsert('Users', records, { batchSize: 2 }, {}).then(() => {
+          throw new Error('bulkInsert should have been rejected');
+        }, errors => {
+          expect(this.stub).to.have.been.calledTwice;
+          expect(this.stub.firstCall.args[1].type).to.equal('INSERT');
+          expect(errors).to.be.instanceOf(Promise.AggregateError);
+          expect(errors).to.have.length(1);
+          expect(errors[0]).to.be.instanceOf(Sequelize.BulkRecordError);
+          expect(errors[0].record).to.equal(records[1]);
+          expect(errors[0].errors).to.be.instanceOf(Sequelize.UniqueConstraintError);
+        });
+      });
+    });
+  });
+}
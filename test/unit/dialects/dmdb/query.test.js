@@ -1,15 +1,48 @@
 'use strict';
 
 const path = require('path');
+const { Readable } = require('stream');
 const Query = require(path.resolve('./lib/dialects/dmdb/query.js'));
 const Support = require(path.join(__dirname, './../../support'));
 const chai = require('chai');
 const sinon = require('sinon');
 
 const current = Support.sequelize;
+const dialect = Support.getTestDialect();
 const expect = chai.expect;
 
 describe('[MYSQL/MARIADB Specific] Query', () => {
+  if (dialect === 'dmdb') {
+    describe('generated keys', () => {
+      const connection = rowsAffected => ({
+        execute: sinon.spy((sql, parameters, options, callback) => callback(null, /SCOPE_IDENTITY/.test(sql)
+          ? { rows: [{ insertId: 7 }] }
+          : { rowsAffected }
+        ))
+      });
+
+      it('reads the key of a single row with SCOPE_IDENTITY()', () => {
+        const User = current.define('User', { name: Support.Sequelize.STRING });
+        const single = connection(1);
+
+        return new Query(single, current, { type: 'INSERT', model: User }).run('INSERT INTO "Users" ("name") VALUES (\'jane\');').then(([result]) => {
+          expect(single.execute).to.have.been.calledTwice;
+          expect(result).to.deep.equal([{ id: 7 }]);
+        });
+      });
+
+      it('does not guess the keys of several rows from the last one', () => {
+        const User = current.define('User', { name: Support.Sequelize.STRING });
+        const several = connection(2);
+
+        return new Query(several, current, { type: 'INSERT', model: User }).run('INSERT IGNORE INTO "Users" ("name") VALUES (\'jane\'),(\'john\');').then(([result]) => {
+          expect(several.execute).to.have.been.calledOnce;
+          expect(result).to.be.undefined;
+        });
+      });
+    });
+  }
+
   describe('logWarnings', () => {
     beforeEach(() => {
       sinon.spy(console, 'log');
@@ -34,4 +67,327 @@ describe('[MYSQL/MARIADB Specific] Query', () => {
       });
     });
   });
+
+  describe('IDENTITY_INSERT', () => {
+    const connection = failing => ({
+      execute: sinon.spy((sql, parameters, options, callback) => callback(failing && /^INSERT/.test(sql) ? new Error('insert failed') : null, { rowsAffected: 1 }))
+    });
+
+    it('switches IDENTITY_INSERT on and off around the statement on the same connection', () => {
+      const bound = connection();
+
+      return new Query(bound, current, { type: 'RAW' }).run('SET IDENTITY_INSERT "Users" ON; INSERT INTO "Users" ("id") VALUES (5); SET IDENTITY_INSERT "Users" OFF;').then(() => {
+        expect(bound.execute.args.map(args => args[0])).to.deep.equal([
+          'SET IDENTITY_INSERT "Users" ON',
+          'INSERT INTO "Users" ("id") VALUES (5);',
+          'SET IDENTITY_INSERT "Users" OFF'
+        ]);
+      });
+    });
+
+    it('switches IDENTITY_INSERT off when the statement fails', () => {
+      const bound = connection(true);
+
+      return expect(new Query(bound, current, { type: 'RAW' }).run('SET IDENTITY_INSERT "Users" ON; INSERT INTO "Users" ("id") VALUES (5); SET IDENTITY_INSERT "Users" OFF;'))
+        .to.be.rejected
+        .then(() => {
+          expect(bound.execute.lastCall.args[0]).to.equal('SET IDENTITY_INSERT "Users" OFF');
+        });
+    });
+  });
+
+  describe('handleDescribeQuery', () => {
+    it('builds attribute definitions from the dictionary rows', () => {
+      const query = new Query({}, current, {});
+      const result = query.handleDescribeQuery([
+        { Name: 'id', Type: 'INTEGER', Length: 4, Precision: 10, Scale: 0, IsNull: 'N', Default: null, Constraint: 'PRIMARY KEY', IsIdentity: 1, Comment: null },
+        { Name: 'name', Type: 'VARCHAR', Length: 255, Precision: null, Scale: null, IsNull: 'Y', Default: "'it''s'", Constraint: '', IsIdentity: 0, Comment: 'display name' },
+        { Name: 'price', Type: 'DECIMAL', Length: 22, Precision: 10, Scale: 2, IsNull: 'N', Default: '0', Constraint: '', IsIdentity: 0, Comment: null }
+      ]);
+
+      expect(result).to.deep.equal({
+        id: { type: 'INTEGER', allowNull: false, defaultValue: null, primaryKey: true, autoIncrement: true, comment: null },
+        name: { type: 'VARCHAR(255)', allowNull: true, defaultValue: "it's", primaryKey: false, autoIncrement: false, comment: 'display name' },
+        price: { type: 'DECIMAL(10,2)', allowNull: false, defaultValue: '0', primaryKey: false, autoIncrement: false, comment: null }
+      });
+    });
+  });
+
+  if (dialect === 'dmdb') {
+    describe('identifier case', () => {
+      beforeEach(function() {
+        this.dialectOptions = current.options.dialectOptions;
+        current.options.dialectOptions = { identifierCase: 'upper' };
+      });
+
+      afterEach(function() {
+        current.options.dialectOptions = this.dialectOptions;
+      });
+
+      it('maps upper cased row keys back to attributes and aliases', () => {
+        const User = current.define('User', { firstName: Support.Sequelize.STRING, lastName: { type: Support.Sequelize.STRING, field: 'last_name' } });
+        const Project = current.define('Project', { title: Support.Sequelize.STRING });
+        User.hasMany(Project, { as: 'projects' });
+
+        const options = { model: User, attributes: ['id', 'firstName', ['last_name', 'lastName']], include: [{ model: Project, as: 'projects', attributes: ['title'] }], raw: true };
+        User._validateIncludedElements(options);
+        const query = new Query({}, current, Object.assign({ type: 'SELECT' }, options));
+
+        expect(query._restoreKeyCase([{ ID: 1, FIRSTNAME: 'jane', LASTNAME: 'doe', 'PROJECTS.TITLE': 'x', ROWNUM_: 1 }])).to.deep.equal([
+          { id: 1, firstName: 'jane', lastName: 'doe', 'projects.title': 'x', ROWNUM_: 1 }
+        ]);
+      });
+    });
+  }
+
+  describe('handleJsonSelectQuery', () => {
+    it('parses the JSON documents of JSON attributes', () => {
+      const Event = current.define('Event', { meta: Support.Sequelize.JSON, title: Support.Sequelize.STRING });
+      const query = new Query({}, current, { model: Event, type: 'SELECT' });
+
+      expect(query.handleJsonSelectQuery([{ meta: '{"tags":["a"]}', title: '{}' }, { meta: null, title: 'x' }])).to.deep.equal([
+        { meta: { tags: ['a'] }, title: '{}' },
+        { meta: null, title: 'x' }
+      ]);
+    });
+
+    it('keeps lax documents JSON.parse rejects as strings', () => {
+      const Event = current.define('Event', { meta: Support.Sequelize.JSON });
+      const query = new Query({}, current, { model: Event, type: 'SELECT' });
+
+      expect(query.handleJsonSelectQuery([{ meta: '{tags: [\'a\']}' }, { meta: '[1]' }])).to.deep.equal([
+        { meta: '{tags: [\'a\']}' },
+        { meta: [1] }
+      ]);
+    });
+  });
+
+  describe('handleEnumSelectQuery', () => {
+    it('trims the blanks padding the values of ENUM attributes', () => {
+      const User = current.define('User', { status: Support.Sequelize.ENUM('on', 'off', 'new '), title: Support.Sequelize.STRING });
+      const query = new Query({}, current, { model: User, type: 'SELECT' });
+
+      expect(query.handleEnumSelectQuery([{ status: 'on ', title: 'x ' }, { status: 'new ', title: null }])).to.deep.equal([
+        { status: 'on', title: 'x ' },
+        { status: 'new ', title: null }
+      ]);
+    });
+  });
+
+  if (dialect === 'dmdb') {
+    describe('handleUuidSelectQuery', () => {
+      beforeEach(function() {
+        this.dialectOptions = current.options.dialectOptions;
+        current.options.dialectOptions = { uuidStorage: 'binary' };
+      });
+
+      afterEach(function() {
+        current.options.dialectOptions = this.dialectOptions;
+      });
+
+      it('formats binary UUIDs of selected and returned rows', () => {
+        const Document = current.define('Document', { id: { type: Support.Sequelize.UUID, primaryKey: true }, scan: Support.Sequelize.BLOB });
+        const query = new Query({}, current, { model: Document, type: 'SELECT' });
+        const bytes = () => Buffer.from('8f1f0f4e4a9c4f449e4f1c2b3d4e5f60', 'hex');
+
+        expect(query.handleUuidSelectQuery([{ id: bytes(), scan: bytes() }])).to.deep.equal([
+          { id: '8f1f0f4e-4a9c-4f44-9e4f-1c2b3d4e5f60', scan: bytes() }
+        ]);
+        expect(query._isBinaryUuid(Document.rawAttributes.id.type)).to.equal(true);
+        expect(query._isBinaryUuid(Document.rawAttributes.scan.type)).to.equal(false);
+      });
+    });
+  }
+
+  describe('handleSpatialSelectQuery', () => {
+    it('parses the EWKT of spatial attributes to GeoJSON', () => {
+      const Place = current.define('Place', { location: Support.Sequelize.GEOMETRY, name: Support.Sequelize.STRING });
+      const query = new Query({}, current, { model: Place, type: 'SELECT' });
+
+      expect(query.handleSpatialSelectQuery([{ location: 'SRID=4326;MULTIPOINT(1 2,3 4)', name: 'POINT(1 2)' }, { location: null, name: null }])).to.deep.equal([
+        { location: { type: 'MultiPoint', coordinates: [[1, 2], [3, 4]], crs: { type: 'name', properties: { name: 'EPSG:4326' } } }, name: 'POINT(1 2)' },
+        { location: null, name: null }
+      ]);
+    });
+  });
+
+  describe('LOB values', () => {
+    const lob = data => {
+      const stream = new Readable({ read() {} });
+      stream.getData = sinon.stub().resolves(data);
+      return stream;
+    };
+
+    beforeEach(function() {
+      this.Document = current.define('Document', {
+        title: Support.Sequelize.TEXT,
+        scan: { type: Support.Sequelize.BLOB, field: 'scan_data', streamLob: true }
+      });
+    });
+
+    it('reads LOBs into memory unless the attribute streams them', function() {
+      const title = lob('contract');
+      const scan = lob(Buffer.from('scan'));
+      const query = new Query({}, current, { model: this.Document, type: 'SELECT' });
+
+      return query._readLobs([{ title, scan_data: scan }]).then(rows => {
+        expect(rows).to.deep.equal([{ title: 'contract', scan_data: scan }]);
+        expect(scan.getData).not.to.have.been.called;
+      });
+    });
+
+    it('follows the streamLobs query option', function() {
+      const title = lob('contract');
+      const scan = lob(Buffer.from('scan'));
+
+      return Promise.all([
+        new Query({}, current, { model: this.Document, type: 'SELECT', streamLobs: ['title'] })._readLobs([{ title, SCAN: scan }]),
+        new Query({}, current, { model: this.Document, type: 'SELECT', streamLobs: false })._readLobs([{ title: lob('contract'), scan }]),
+        new Query({}, current, { type: 'RAW', streamLobs: true })._readLobs([{ title }])
+      ]).then(([listed, buffered, raw]) => {
+        expect(listed[0].title).to.equal(title);
+        expect(listed[0].SCAN).to.deep.equal(Buffer.from('scan'));
+        expect(buffered[0]).to.deep.equal({ title: 'contract', scan: Buffer.from('scan') });
+        expect(raw[0].title).to.equal(title);
+      });
+    });
+
+    if (dialect === 'dmdb') {
+      it('binds streams to BLOB and TEXT attributes', function() {
+        const stream = new Readable({ read() {} });
+        const bind = [];
+        const bindParam = value => {
+          bind.push(value);
+          return `$${bind.length}`;
+        };
+
+        expect(this.Document.rawAttributes.scan.type.bindParam(stream, { bindParam })).to.equal('$1');
+        expect(this.Document.rawAttributes.scan.type.validate(stream)).to.equal(true);
+        expect(this.Document.rawAttributes.title.type.validate(stream)).to.equal(true);
+        expect(bind[0]).to.equal(stream);
+      });
+    }
+  });
+
+  describe('transactions', () => {
+    const connection = () => ({
+      execute: sinon.spy((sql, parameters, options, callback) => callback(null, { rowsAffected: 0 }))
+    });
+
+    it('runs the statements of a transaction without autocommit', () => {
+      const free = connection();
+      const bound = connection();
+      const transaction = {};
+
+      return Promise.all([
+        new Query(free, current, { type: 'RAW' }).run('DELETE FROM "Users";'),
+        new Query(bound, current, { type: 'RAW', transaction }).run('DELETE FROM "Users";')
+      ]).then(() => {
+        expect(free.execute.firstCall.args[2].autoCommit).to.equal(true);
+        expect(bound.execute.firstCall.args[2].autoCommit).to.equal(false);
+        expect(free.pendingTransaction).to.be.undefined;
+        expect(bound.pendingTransaction).to.equal(true);
+      });
+    });
+
+    it('rolls back the outermost transaction after a deadlock or a lock timeout', () => {
+      const bound = {
+        execute: sinon.spy((sql, parameters, options, callback) => {
+          const err = new Error('[-6403] 锁超时');
+          err.errCode = -6403;
+          callback(err);
+        })
+      };
+      const transaction = { _abort: sinon.stub().resolves() };
+
+      return expect(new Query(bound, current, { type: 'RAW', transaction }).run('UPDATE "Stocks" SET "count" = 0;'))
+        .to.be.rejectedWith(Support.Sequelize.TimeoutError)
+        .then(() => {
+          expect(transaction._abort).to.have.been.calledOnce;
+        });
+    });
+
+    it('clears the pending work once the transaction completes', () => {
+      const bound = connection();
+      const transaction = {};
+      const run = (sql, options) => new Query(bound, current, Object.assign({ type: 'RAW', transaction }, options)).run(sql);
+
+      return run('SET TRANSACTION READ WRITE;')
+        .then(() => run('ROLLBACK TO SAVEPOINT "sp-1";', { completesTransaction: true }))
+        .then(() => expect(bound.pendingTransaction).to.equal(true))
+        .then(() => run('COMMIT;', { completesTransaction: true }))
+        .then(() => expect(bound.pendingTransaction).to.equal(false));
+    });
+  });
+
+  if (dialect === 'dmdb') {
+    describe('array-bound inserts', () => {
+      it('executes the rows at once and reports the returned keys and the errors of each row', () => {
+        const User = current.define('User', { username: { type: Support.Sequelize.STRING, unique: 'users_username_unique' } });
+        const lib = current.connectionManager.lib;
+        const outBind = new Query.OutBind('id', User.rawAttributes.id.type);
+        const connection = {
+          execute: sinon.spy(),
+          executeMany: sinon.spy((sql, binds, options, callback) => callback(null, {
+            dmlRowCounts: [1, -1, 1],
+            batchErrors: ['row[1]:-6602, 违反唯一性约束[users_username_unique]'],
+            outBinds: [[[1]], [], [[2]]]
+          }))
+        };
+        const bulkBind = [['jane', outBind], ['jane', outBind], ['john', outBind]];
+        const query = new Query(connection, current, { type: 'INSERT', model: User, bulkBind });
+
+        return query.run('INSERT INTO "Users" ("username") VALUES (?) RETURNING "id" INTO ?;').then(([rows, errors]) => {
+          const [sql, binds, options] = connection.executeMany.firstCall.args;
+
+          expect(sql).to.equal('INSERT INTO "Users" ("username") VALUES (?) RETURNING "id" INTO ?;');
+          expect(binds[2]).to.deep.equal(['john', { dir: lib.BIND_OUT, type: lib.NUMBER }]);
+          expect(options).to.deep.equal({ autoCommit: true, batchErrors: true, dmlRowCounts: true });
+          expect(connection.execute).not.to.have.been.called;
+
+          expect(rows).to.deep.equal([{ id: 1 }, null, { id: 2 }]);
+          expect(errors).to.have.length(1);
+          expect(errors[0].index).to.equal(1);
+          expect(errors[0].error).to.be.instanceOf(Support.Sequelize.UniqueConstraintError);
+          expect(errors[0].error.parent.errCode).to.equal(-6602);
+          expect(errors[0].error.parent.parameters).to.equal(bulkBind[1]);
+        });
+      });
+
+      it('hands back an empty row for rows skipped by ignoreDuplicates', () => {
+        const User = current.define('User', { username: Support.Sequelize.STRING });
+        const outBind = new Query.OutBind('id', User.rawAttributes.id.type);
+        const connection = {
+          executeMany: sinon.spy((sql, binds, options, callback) => callback(null, {
+            dmlRowCounts: [1, 0, 1],
+            outBinds: [[[1]], [], [[2]]]
+          }))
+        };
+        const query = new Query(connection, current, { type: 'INSERT', model: User, bulkBind: [['jane', outBind], ['jane', outBind], ['john', outBind]] });
+
+        return query.run('INSERT IGNORE INTO "Users" ("username") VALUES (?) RETURNING "id" INTO ?;').then(([rows, errors]) => {
+          expect(rows).to.deep.equal([{ id: 1 }, {}, { id: 2 }]);
+          expect(errors).to.be.empty;
+        });
+      });
+    });
+  }
+
+  describe('handleShowIndexesQuery', () => {
+    it('groups index columns in key order', () => {
+      const query = new Query({}, current, {});
+      const result = query.handleShowIndexesQuery([
+        { name: 'INDEX33555', tableName: 'Users', type: 'NORMAL', uniqueness: 'UNIQUE', primary: 1, columnName: 'id', position: 1, descend: 'ASC', expression: null },
+        { name: 'users_name_email', tableName: 'Users', type: 'NORMAL', uniqueness: 'NONUNIQUE', primary: 0, columnName: 'email', position: 2, descend: 'DESC', expression: null },
+        { name: 'users_name_email', tableName: 'Users', type: 'NORMAL', uniqueness: 'NONUNIQUE', primary: 0, columnName: 'name', position: 1, descend: 'ASC', expression: null },
+        { name: 'users_lower_name', tableName: 'Users', type: 'FUNCTION-BASED NORMAL', uniqueness: 'UNIQUE', primary: 0, columnName: 'DMNVC$1', position: 1, descend: 'ASC', expression: 'LOWER("name")' }
+      ]);
+
+      expect(result).to.deep.equal([
+        { primary: true, fields: [{ attribute: 'id', order: 'ASC' }], name: 'INDEX33555', tableName: 'Users', unique: true, type: 'NORMAL' },
+        { primary: false, fields: [{ attribute: 'name', order: 'ASC' }, { attribute: 'email', order: 'DESC' }], name: 'users_name_email', tableName: 'Users', unique: false, type: 'NORMAL' },
+        { primary: false, fields: [{ attribute: null, order: 'ASC', expression: 'LOWER("name")' }], name: 'users_lower_name', tableName: 'Users', unique: true, type: 'FUNCTION-BASED NORMAL' }
+      ]);
+    });
+  });
 });
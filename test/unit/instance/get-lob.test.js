@@ -0,0 +1,56 @@
+'use strict';
+
+const chai = require('chai'),
+  expect = chai.expect,
+  Support   = require('../support'),
+  current   = Support.sequelize,
+  Sequelize = Support.Sequelize,
+  sinon     = require('sinon');
+
+describe(Support.getTestDialectTeaser('Instance'), () => {
+  describe('getLob', () => {
+    const Model = current.define('Document', {
+      title: Sequelize.STRING,
+      scan: Sequelize.BLOB
+    });
+
+    beforeEach(function() {
+      this.stub = sinon.stub(Model, 'findOne').resolves({ scan: 'contents' });
+    });
+
+    afterEach(function() {
+      this.stub.restore();
+    });
+
+    it('selects only the requested attribute of the instance', function() {
+      const instance = Model.build({ id: 1 }, { isNewRecord: false });
+
+      return instance.getLob('scan', { logging: false }).then(value => {
+        expect(value).to.equal('contents');
+
+        const options = this.stub.getCall(0).args[0];
+        expect(options.where).to.deep.equal({ id: 1 });
+        expect(options.attributes).to.deep.equal(['scan']);
+        expect(options.raw).to.equal(true);
+        expect(options.logging).to.equal(false);
+        if (current.dialect.supports.lobStreams) {
+          expect(options.streamLobs).to.deep.equal(['scan']);
+        }
+      });
+    });
+
+    it('rejects unknown attributes', () => {
+      const instance = Model.build({ id: 1 }, { isNewRecord: false });
+
+      return expect(instance.getLob('contents')).to.be.rejectedWith('contents is not an attribute of Document');
+    });
+
+    it('rejects attributes that are not BLOB or TEXT', function() {
+      const instance = Model.build({ id: 1 }, { isNewRecord: false });
+
+      return expect(instance.getLob('title')).to.be.rejectedWith('title of Document is not a BLOB or TEXT attribute').then(() => {
+        expect(this.stub).not.to.have.been.called;
+      });
+    });
+  });
+});
@@ -40,5 +40,28 @@ describe(Support.getTestDialectTeaser('Model'), () => {
         });
       });
     });
+
+    describe('per record errors', () => {
+      afterEach(function() {
+        this.stub.resolves([]);
+      });
+
+      it('point the BulkRecordErrors of the insert at the instances', function() {
+        const Promise = Support.Sequelize.Promise;
+        this.stub.callsFake((tableName, records) => {
+          const errors = new Promise.AggregateError();
+          errors.push(new Support.Sequelize.BulkRecordError(new Error('duplicate'), records[1]));
+          return Promise.reject(errors);
+        });
+
+        return this.Model.bulkCreate([{ accountId: 1 }, { accountId: 2 }]).then(() => {
+          throw new Error('bulkCreate should have been rejected');
+        }, errors => {
+          expect(errors).to.be.instanceOf(Promise.AggregateError);
+          expect(errors[0].record).to.be.instanceOf(this.Model);
+          expect(errors[0].record.get('accountId')).to.equal(2);
+        });
+      });
+    });
   });
 });
@@ -1436,31 +1436,36 @@ describe(Support.getTestDialectTeaser('SQL'), () => {
     if (current.dialect.supports.GEOMETRY) {
       describe('GEOMETRY', () => {
         testsql('GEOMETRY', DataTypes.GEOMETRY, {
-          default: 'GEOMETRY'
+          default: 'GEOMETRY',
+          dmdb: 'SYSGEO.ST_GEOMETRY'
         });
 
         testsql('GEOMETRY(\'POINT\')', DataTypes.GEOMETRY('POINT'), {
           postgres: 'GEOMETRY(POINT)',
           mariadb: 'POINT',
-          mysql: 'POINT'
+          mysql: 'POINT',
+          dmdb: 'SYSGEO.ST_POINT'
         });
 
         testsql('GEOMETRY(\'LINESTRING\')', DataTypes.GEOMETRY('LINESTRING'), {
           postgres: 'GEOMETRY(LINESTRING)',
           mariadb: 'LINESTRING',
-          mysql: 'LINESTRING'
+          mysql: 'LINESTRING',
+          dmdb: 'SYSGEO.ST_LINESTRING'
         });
 
         testsql('GEOMETRY(\'POLYGON\')', DataTypes.GEOMETRY('POLYGON'), {
           postgres: 'GEOMETRY(POLYGON)',
           mariadb: 'POLYGON',
-          mysql: 'POLYGON'
+          mysql: 'POLYGON',
+          dmdb: 'SYSGEO.ST_POLYGON'
         });
 
         testsql('GEOMETRY(\'POINT\',4326)', DataTypes.GEOMETRY('POINT', 4326), {
           postgres: 'GEOMETRY(POINT,4326)',
           mariadb: 'POINT',
-          mysql: 'POINT'
+          mysql: 'POINT',
+          dmdb: 'SYSGEO.ST_POINT'
         });
       });
     }
@@ -84,7 +84,8 @@ if (current.dialect.supports.JSON) {
             postgres: '("id"#>>\'{}\') = \'1\'',
             sqlite: "json_extract(`id`,'$') = '1'",
             mariadb: "json_unquote(json_extract(`id`,'$')) = '1'",
-            mysql: "json_unquote(json_extract(`id`,'$')) = '1'"
+            mysql: "json_unquote(json_extract(`id`,'$')) = '1'",
+            dmdb: 'JSON_VALUE("id", \'$\') = \'1\''
           });
         });
 
@@ -93,7 +94,8 @@ if (current.dialect.supports.JSON) {
             postgres: '("profile"#>>\'{id}\') = \'1\'',
             sqlite: "json_extract(`profile`,'$.id') = '1'",
             mariadb: "json_unquote(json_extract(`profile`,'$.id')) = '1'",
-            mysql: "json_unquote(json_extract(`profile`,'$.\\\"id\\\"')) = '1'"
+            mysql: "json_unquote(json_extract(`profile`,'$.\\\"id\\\"')) = '1'",
+            dmdb: 'JSON_VALUE("profile", \'$.id\') = \'1\''
           });
         });
 
@@ -102,7 +104,8 @@ if (current.dialect.supports.JSON) {
             postgres: '("property"#>>\'{value}\') = \'1\' AND ("another"#>>\'{value}\') = \'string\'',
             sqlite: "json_extract(`property`,'$.value') = '1' AND json_extract(`another`,'$.value') = 'string'",
             mariadb: "json_unquote(json_extract(`property`,'$.value')) = '1' AND json_unquote(json_extract(`another`,'$.value')) = 'string'",
-            mysql: "json_unquote(json_extract(`property`,'$.\\\"value\\\"')) = '1' AND json_unquote(json_extract(`another`,'$.\\\"value\\\"')) = 'string'"
+            mysql: "json_unquote(json_extract(`property`,'$.\\\"value\\\"')) = '1' AND json_unquote(json_extract(`another`,'$.\\\"value\\\"')) = 'string'",
+            dmdb: 'JSON_VALUE("property", \'$.value\') = \'1\' AND JSON_VALUE("another", \'$.value\') = \'string\''
           });
         });
 
@@ -111,7 +114,8 @@ if (current.dialect.supports.JSON) {
             postgres: '("property"#>>\'{0,0}\') = \'4\' AND ("property"#>>\'{0,1}\') = \'6\' AND ("property"#>>\'{1,0}\') = \'8\'',
             sqlite: "json_extract(`property`,'$[0][0]') = '4' AND json_extract(`property`,'$[0][1]') = '6' AND json_extract(`property`,'$[1][0]') = '8'",
             mariadb: "json_unquote(json_extract(`property`,'$[0][0]')) = '4' AND json_unquote(json_extract(`property`,'$[0][1]')) = '6' AND json_unquote(json_extract(`property`,'$[1][0]')) = '8'",
-            mysql: "json_unquote(json_extract(`property`,'$[0][0]')) = '4' AND json_unquote(json_extract(`property`,'$[0][1]')) = '6' AND json_unquote(json_extract(`property`,'$[1][0]')) = '8'"
+            mysql: "json_unquote(json_extract(`property`,'$[0][0]')) = '4' AND json_unquote(json_extract(`property`,'$[0][1]')) = '6' AND json_unquote(json_extract(`property`,'$[1][0]')) = '8'",
+            dmdb: 'JSON_VALUE("property", \'$[0][0]\') = \'4\' AND JSON_VALUE("property", \'$[0][1]\') = \'6\' AND JSON_VALUE("property", \'$[1][0]\') = \'8\''
           });
         });
 
@@ -120,7 +124,8 @@ if (current.dialect.supports.JSON) {
             postgres: '("profile"#>>\'{id}\') = \'1\'',
             sqlite: "json_extract(`profile`,'$.id') = '1'",
             mariadb: "json_unquote(json_extract(`profile`,'$.id')) = '1'",
-            mysql: "json_unquote(json_extract(`profile`,'$.\\\"id\\\"')) = '1'"
+            mysql: "json_unquote(json_extract(`profile`,'$.\\\"id\\\"')) = '1'",
+            dmdb: 'COALESCE(JSON_VALUE("profile", \'$.id\'), JSON_QUERY("profile", \'$.id\')) = \'1\''
           });
         });
 
@@ -129,7 +134,8 @@ if (current.dialect.supports.JSON) {
             postgres: '("profile"#>>\'{id,0,1}\') = \'1\'',
             sqlite: "json_extract(`profile`,'$.id[0][1]') = '1'",
             mariadb: "json_unquote(json_extract(`profile`,'$.id[0][1]')) = '1'",
-            mysql: "json_unquote(json_extract(`profile`,'$.\\\"id\\\"[0][1]')) = '1'"
+            mysql: "json_unquote(json_extract(`profile`,'$.\\\"id\\\"[0][1]')) = '1'",
+            dmdb: 'COALESCE(JSON_VALUE("profile", \'$.id[0][1]\'), JSON_QUERY("profile", \'$.id[0][1]\')) = \'1\''
           });
         });
 
@@ -138,7 +144,8 @@ if (current.dialect.supports.JSON) {
             postgres: '("json"#>>\'{}\') = \'{}\'',
             sqlite: "json_extract(`json`,'$') = '{}'",
             mariadb: "json_unquote(json_extract(`json`,'$')) = '{}'",
-            mysql: "json_unquote(json_extract(`json`,'$')) = '{}'"
+            mysql: "json_unquote(json_extract(`json`,'$')) = '{}'",
+            dmdb: 'COALESCE(JSON_VALUE("json", \'$\'), JSON_QUERY("json", \'$\')) = \'{}\''
           });
         });
       });
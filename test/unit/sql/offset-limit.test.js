@@ -51,6 +51,7 @@ describe(Support.getTestDialectTeaser('SQL'), () => {
     }, {
       default: ' LIMIT 20, 10',
       postgres: ' LIMIT 10 OFFSET 20',
+      dmdb: ' LIMIT 10 OFFSET 20',
       mssql: ' OFFSET 20 ROWS FETCH NEXT 10 ROWS ONLY'
     });
 
@@ -75,6 +76,7 @@ describe(Support.getTestDialectTeaser('SQL'), () => {
     }, {
       sqlite: " LIMIT ''';DELETE FROM user', 10",
       postgres: " LIMIT 10 OFFSET ''';DELETE FROM user'",
+      dmdb: " LIMIT 10 OFFSET ''';DELETE FROM user'",
       mariadb: " LIMIT '\\';DELETE FROM user', 10",
       mysql: " LIMIT '\\';DELETE FROM user', 10",
       mssql: " OFFSET N''';DELETE FROM user' ROWS FETCH NEXT 10 ROWS ONLY"
@@ -10,7 +10,8 @@ if (current.dialect.supports.constraints.dropConstraint) {
     describe('removeConstraint', () => {
       it('naming', () => {
         expectsql(sql.removeConstraintQuery('myTable', 'constraint_name'), {
-          default: 'ALTER TABLE [myTable] DROP CONSTRAINT [constraint_name]'
+          default: 'ALTER TABLE [myTable] DROP CONSTRAINT [constraint_name]',
+          dmdb: 'ALTER TABLE "myTable" DROP CONSTRAINT "constraint_name";'
         });
       });
 
@@ -20,7 +21,8 @@ if (current.dialect.supports.constraints.dropConstraint) {
             tableName: 'myTable',
             schema: 'inspections'
           }, 'constraint_name'), {
-            default: 'ALTER TABLE [inspections].[myTable] DROP CONSTRAINT [constraint_name]'
+            default: 'ALTER TABLE [inspections].[myTable] DROP CONSTRAINT [constraint_name]',
+            dmdb: 'ALTER TABLE "inspections"."myTable" DROP CONSTRAINT "constraint_name";'
           });
         });
       }
@@ -162,7 +162,8 @@ describe(Support.getTestDialectTeaser('SQL'), () => {
       }, {
         default: '[deleted] IS NOT true',
         mssql: '[deleted] IS NOT 1',
-        sqlite: '`deleted` IS NOT 1'
+        sqlite: '`deleted` IS NOT 1',
+        dmdb: '"deleted" IS NOT 1'
       });
 
       testsql('deleted', {
@@ -43,6 +43,9 @@ describe('Transaction', () => {
       ],
       mssql: [
         'BEGIN TRANSACTION;'
+      ],
+      dmdb: [
+        'SET TRANSACTION READ WRITE;'
       ]
     };
     return current.transaction(() => {
@@ -67,6 +70,10 @@ describe('Transaction', () => {
       ],
       mssql: [
         'BEGIN TRANSACTION;'
+      ],
+      dmdb: [
+        'SET TRANSACTION ISOLATION LEVEL READ UNCOMMITTED;',
+        'SET TRANSACTION READ WRITE;'
       ]
     };
     return current.transaction({ isolationLevel: Sequelize.Transaction.ISOLATION_LEVELS.READ_UNCOMMITTED }, () => {
@@ -74,4 +81,158 @@ describe('Transaction', () => {
       return Sequelize.Promise.resolve();
     });
   });
+
+  describe('_abort', () => {
+    it('should roll back the outermost transaction and finish its savepoints', function() {
+      return current.transaction().then(parent => {
+        return current.transaction({ transaction: parent }).then(savepoint => {
+          this.stub.resetHistory();
+
+          return savepoint._abort().then(() => {
+            expect(this.stub).to.have.been.calledOnce;
+            expect(this.stub.firstCall.args[0]).to.equal(current.dialect.QueryGenerator.rollbackTransactionQuery(parent));
+            expect(this.stubRelease).to.have.been.calledOnce;
+            expect(parent.finished).to.equal('rollback');
+            expect(savepoint.finished).to.equal('rollback');
+          });
+        });
+      });
+    });
+
+    it('should let the rollback of an aborted transaction resolve and reject its commit', () => {
+      return current.transaction().then(t => {
+        return t._abort()
+          .then(() => t.rollback())
+          .then(() => expect(t.commit()).to.be.rejectedWith('Transaction cannot be committed because it has been finished with state: rollback'));
+      });
+    });
+  });
+
+  describe('retry', () => {
+    const deadlock = () => new Sequelize.DeadlockError(new Error('deadlock'));
+
+    it('should not run a nested callback again once its parent is aborted', () => {
+      const callback = sinon.spy(t => t._abort().then(() => Sequelize.Promise.reject(deadlock())));
+
+      let parent;
+
+      return expect(current.transaction(t => {
+        parent = t;
+        return current.transaction({ transaction: parent, retry: { max: 3 } }, callback);
+      })).to.be.rejectedWith(Sequelize.DeadlockError).then(() => {
+        expect(callback).to.have.been.calledOnce;
+        expect(parent.finished).to.equal('rollback');
+      });
+    });
+
+    it('should run the callback again in a new transaction', () => {
+      const transactions = [];
+      const backoff = sinon.stub().returns(1);
+
+      return current.transaction({ retry: { max: 3, backoff } }, t => {
+        transactions.push(t);
+        return transactions.length < 3 ? Sequelize.Promise.reject(deadlock()) : 'done';
+      }).then(result => {
+        expect(result).to.equal('done');
+        expect(transactions).to.have.length(3);
+        expect(transactions[0]).not.to.equal(transactions[1]);
+        expect(transactions[2].options).not.to.have.property('retry');
+        expect(backoff.args.map(args => args[0])).to.deep.equal([1, 2]);
+      });
+    });
+
+    it('should give up after max attempts or on errors that do not match', () => {
+      const callback = sinon.stub();
+      callback.onFirstCall().rejects(deadlock());
+      callback.onSecondCall().rejects(deadlock());
+      callback.onThirdCall().rejects(new Error('quantity must be positive'));
+
+      return expect(current.transaction({ retry: { max: 2 } }, callback)).to.be.rejectedWith(Sequelize.DeadlockError)
+        .then(() => {
+          expect(callback).to.have.been.calledTwice;
+          return expect(current.transaction({ retry: { match: [/deadlock/] } }, callback)).to.be.rejectedWith('quantity must be positive');
+        })
+        .then(() => {
+          expect(callback).to.have.been.calledThrice;
+        });
+    });
+  });
+
+  if (dialect === 'dmdb') {
+    it('should start read-only transactions', function() {
+      return current.transaction({ readOnly: true }, () => {
+        expect(this.stub.args.map(arg => arg[0])).to.deep.equal(['SET TRANSACTION READ ONLY;']);
+        return Sequelize.Promise.resolve();
+      });
+    });
+
+    it('should lock tables within the transaction', function() {
+      const queryInterface = current.getQueryInterface();
+
+      return expect(queryInterface.lockTable('jobs', 'EXCLUSIVE')).to.be.rejectedWith('Unable to lock a table without transaction object!')
+        .then(() => current.transaction(t => queryInterface.lockTable('jobs', 'EXCLUSIVE', { transaction: t, nowait: true })))
+        .then(() => {
+          expect(this.stub.args.map(arg => arg[0])).to.deep.equal([
+            'SET TRANSACTION READ WRITE;',
+            'LOCK TABLE "jobs" IN EXCLUSIVE MODE NOWAIT;',
+            'COMMIT;'
+          ]);
+        });
+    });
+
+    it('should create and roll back to quoted savepoints', function() {
+      return current.transaction().then(parent => {
+        return current.transaction({ transaction: parent })
+          .then(savepoint => savepoint.rollback().then(() => savepoint))
+          .then(savepoint => {
+            expect(this.stub.args.map(arg => arg[0])).to.deep.equal([
+              'SET TRANSACTION READ WRITE;',
+              `SAVEPOINT "${savepoint.name}";`,
+              `ROLLBACK TO SAVEPOINT "${savepoint.name}";`
+            ]);
+            return current.transaction({ transaction: parent });
+          })
+          .then(savepoint => savepoint.commit())
+          .then(() => parent.commit())
+          .then(() => {
+            expect(this.stub.args.map(arg => arg[0]).slice(3)).to.deep.equal([
+              `SAVEPOINT "${parent.id}-sp-2";`,
+              'COMMIT;'
+            ]);
+          });
+      });
+    });
+
+    it('should run the afterCommit hooks of savepoints when the outermost transaction commits', () => {
+      const hook = sinon.spy();
+
+      return current.transaction().then(parent => {
+        return current.transaction({ transaction: parent }).then(savepoint => {
+          savepoint.afterCommit(hook);
+          return savepoint.commit()
+            .then(() => {
+              expect(hook).not.to.have.been.called;
+              return parent.commit();
+            })
+            .then(() => {
+              expect(hook).to.have.been.calledOnce;
+              expect(hook).to.have.been.calledWith(savepoint);
+            });
+        });
+      });
+    });
+
+    it('should drop the afterCommit hooks of savepoints rolled back', () => {
+      const hook = sinon.spy();
+
+      return current.transaction().then(parent => {
+        return current.transaction({ transaction: parent }).then(savepoint => {
+          savepoint.afterCommit(hook);
+          return savepoint.rollback().then(() => parent.commit());
+        }).then(() => {
+          expect(hook).not.to.have.been.called;
+        });
+      });
+    });
+  }
 });
@@ -131,7 +131,9 @@ interface NumberDataTypeConstructor extends AbstractDataTypeConstructor {
   UNSIGNED: this;
   ZEROFILL: this;
   new (options?: NumberDataTypeOptions): NumberDataType;
+  new (length: number, decimals?: number): NumberDataType;
   (options?: NumberDataTypeOptions): NumberDataType;
+  (length: number, decimals?: number): NumberDataType;
   validate(value: unknown): boolean;
 }
 
@@ -340,6 +342,10 @@ export interface DateDataType extends AbstractDataTypeConstructor {
 
 export interface DateDataTypeOptions {
   length?: string | number;
+  /**
+   * Store the time zone offset with the value, DMDB only
+   */
+  withTimeZone?: boolean;
 }
 
 /**
@@ -450,6 +456,11 @@ export const UUIDV1: AbstractDataTypeConstructor;
  */
 export const UUIDV4: AbstractDataTypeConstructor;
 
+/**
+ * A default unique universal identifier generated by the server when the row is inserted. Only available in DMDB.
+ */
+export const GUID: AbstractDataTypeConstructor;
+
 /**
  * A virtual value that is not stored in the DB. This could for example be useful if you want to provide a default value in your model that is returned to the user but not stored in the DB.
  *
@@ -606,5 +617,87 @@ export const MACADDR: AbstractDataTypeConstructor;
  */
 export const CITEXT: AbstractDataTypeConstructor;
 
+/**
+ * A variable length string, the Oracle compatible spelling of VARCHAR. Only available in DMDB.
+ */
+export const VARCHAR2: StringDataTypeConstructor;
+
+/**
+ * A variable length national character string. Only available in DMDB.
+ */
+export const NVARCHAR: StringDataTypeConstructor;
+
+/**
+ * A character large object. Only available in DMDB.
+ */
+export const CLOB: TextDataTypeConstructor;
+
+/**
+ * A binary large object. Only available in DMDB.
+ */
+export const IMAGE: BlobDataTypeConstructor;
+
+/**
+ * A fixed length binary string. Only available in DMDB.
+ */
+export const BINARY: BinaryDataTypeConstructor;
+
+/**
+ * A variable length binary string. Only available in DMDB.
+ */
+export const VARBINARY: BinaryDataTypeConstructor;
+
+interface BinaryDataTypeConstructor extends AbstractDataTypeConstructor {
+  new (length?: number): BinaryDataType;
+  (length?: number): BinaryDataType;
+}
+
+export interface BinaryDataType extends AbstractDataType {
+  options: { length?: number };
+  validate(value: unknown): boolean;
+}
+
+/**
+ * A period of years and months, like `'1-6'`. Only available in DMDB.
+ */
+export const INTERVAL_YEAR_TO_MONTH: IntervalDataTypeConstructor;
+
+/**
+ * A period of days and time, like `'2 12:30:00.5'`. Only available in DMDB.
+ */
+export const INTERVAL_DAY_TO_SECOND: IntervalDataTypeConstructor;
+
+interface IntervalDataTypeConstructor extends AbstractDataTypeConstructor {
+  new (precision?: number, fractionalPrecision?: number): IntervalDataType;
+  new (options?: IntervalDataTypeOptions): IntervalDataType;
+  (precision?: number, fractionalPrecision?: number): IntervalDataType;
+  (options?: IntervalDataTypeOptions): IntervalDataType;
+}
+
+export interface IntervalDataType extends AbstractDataType {
+  options: IntervalDataTypeOptions;
+  validate(value: unknown): boolean;
+}
+
+export interface IntervalDataTypeOptions {
+  precision?: number;
+  fractionalPrecision?: number;
+}
+
+/**
+ * A timestamp stored along with its time zone offset. Only available in DMDB.
+ */
+export const TIMESTAMP_TZ: DateDataTypeConstructor;
+
+/**
+ * A timestamp normalized to the database time zone. Only available in DMDB.
+ */
+export const TIMESTAMP_LTZ: DateDataTypeConstructor;
+
+/**
+ * The physical address of a row. Only available in DMDB.
+ */
+export const ROWID: AbstractDataTypeConstructor;
+
 // umzug compatibility
 export type DataTypeAbstract = AbstractDataTypeConstructor;
@@ -90,12 +90,17 @@ export class DatabaseError extends BaseError implements CommonErrorProperties {
 /** Thrown when a database query times out because of a deadlock */
 export class TimeoutError extends DatabaseError {}
 
+/** Thrown when a transaction is chosen as the victim of a deadlock */
+export class DeadlockError extends DatabaseError {}
+
 export interface UniqueConstraintErrorOptions {
   parent?: Error;
   message?: string;
   errors?: ValidationErrorItem[];
   fields?: { [key: string]: unknown };
   original?: Error;
+  table?: string;
+  index?: string;
 }
 
 /**
@@ -106,6 +111,8 @@ export class UniqueConstraintError extends ValidationError implements CommonErro
   public readonly original: Error;
   public readonly sql: string;
   public readonly fields: { [key: string]: unknown };
+  public readonly table?: string;
+  public readonly index?: string;
   constructor(options?: UniqueConstraintErrorOptions);
 }
 
@@ -554,15 +554,31 @@ export interface FindOptions extends QueryOptions, Filterable, Projectable, Para
     | { level: LOCK; of: typeof Model }
     | boolean;
   /**
-   * Skip locked rows. Only supported in Postgres.
+   * Skip locked rows. Only supported in Postgres and DMDB.
    */
   skipLocked?: boolean;
 
+  /**
+   * Fail instead of waiting for rows locked by other transactions. Only supported in DMDB.
+   */
+  nowait?: boolean;
+
+  /**
+   * Seconds to wait for rows locked by other transactions. Only supported in DMDB.
+   */
+  waitSeconds?: number;
+
   /**
    * Return raw result. See sequelize.query for more information.
    */
   raw?: boolean;
 
+  /**
+   * Return BLOB and TEXT values as `Readable` streams, either for every column or for the listed attributes.
+   * `false` reads them all into memory. DMDB only.
+   */
+  streamLobs?: boolean | string[];
+
   /**
    * Select group rows after groups and aggregates are computed.
    */
@@ -763,6 +779,13 @@ export interface BulkCreateOptions extends Logging, Transactionable {
    * Return all columns or only the specified columns for the affected rows (only for postgres)
    */
   returning?: boolean | string[];
+
+  /**
+   * Number of rows bound to each execution of the parameterised INSERT (only for dmdb)
+   *
+   * @default 1000
+   */
+  batchSize?: number;
 }
 
 /**
@@ -1293,11 +1316,27 @@ export interface ModelAttributeColumnOptions<M extends Model = Model> extends Co
    */
   autoIncrementIdentity?: boolean;
 
+  /**
+   * The first value generated for this auto increment field, used as the `IDENTITY` seed. DMDB only.
+   */
+  autoIncrementSeed?: number;
+
+  /**
+   * The increment between generated values of this auto increment field. DMDB only.
+   */
+  autoIncrementStep?: number;
+
   /**
    * Comment for the database
    */
   comment?: string;
 
+  /**
+   * Return BLOB and TEXT values of this column as `Readable` streams instead of reading them into memory.
+   * DMDB only.
+   */
+  streamLob?: boolean;
+
   /**
    * An object with reference configurations
    */
@@ -1475,10 +1514,16 @@ export interface ModelOptions<M extends Model = Model> {
   collate?: string;
 
   /**
-   * Set the initial AUTO_INCREMENT value for the table in MySQL.
+   * Set the initial AUTO_INCREMENT value for the table in MySQL, or the IDENTITY seed in DMDB.
    */
   initialAutoIncrement?: string;
 
+  /**
+   * Table level CHECK constraints in DMDB, keyed by constraint name. Each value is a where condition on the
+   * table columns, as in `queryInterface.addConstraint`.
+   */
+  checks?: { [name: string]: WhereOptions };
+
   /**
    * An object of hook function that are called before and after certain lifecycle events.
    * See Hooks for more information about hook
@@ -2641,6 +2686,12 @@ export abstract class Model<T = any, T2 = any> extends Hooks {
    */
   public reload(options?: FindOptions): Promise<this>;
 
+  /**
+   * Fetch a single BLOB or TEXT attribute of this instance from the DB, without loading it into the instance.
+   * On dialects that support it (DMDB) the value is returned as a `Readable` stream.
+   */
+  public getLob(key: string, options?: FindOptions): Promise<NodeJS.ReadableStream | Buffer | string | null>;
+
   /**
    * Validate the attribute of this instance according to validation rules set in the model definition.
    *
@@ -576,6 +576,15 @@ export class QueryInterface {
     options?: QueryInterfaceOptions
   ): Promise<void>;
 
+  /**
+   * DMDB only. Locks a table until the end of the transaction
+   */
+  public lockTable(
+    tableName: string | { schema?: string; tableName?: string },
+    mode: string,
+    options: QueryInterfaceOptions & { transaction: Transaction; nowait?: boolean }
+  ): Promise<void>;
+
   /**
    * Escape an identifier (e.g. a table or attribute name). If force is true, the identifier will be quoted
    * even if the `quoteIdentifiers` option is false.
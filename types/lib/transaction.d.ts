@@ -152,6 +152,29 @@ export interface TransactionOptions extends Logging {
    * Parent transaction.
    */
   transaction?: Transaction;
+  /**
+   * Start a read-only transaction.
+   */
+  readOnly?: boolean;
+  /**
+   * Run the callback of a managed transaction again, in a new transaction, when it fails.
+   */
+  retry?: TransactionRetryOptions;
+}
+
+export interface TransactionRetryOptions {
+  /**
+   * How many times the callback is run at most. Defaults to 3.
+   */
+  max?: number;
+  /**
+   * Milliseconds to wait before the next attempt, or a function returning them.
+   */
+  backoff?: number | ((attempt: number, error: Error) => number);
+  /**
+   * Error classes, names, messages or patterns of the errors to retry. Defaults to deadlocks and lock timeouts.
+   */
+  match?: (Function | string | RegExp)[];
 }
 
 export default Transaction;